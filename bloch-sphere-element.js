@@ -0,0 +1,772 @@
+/**
+ * <bloch-sphere> custom element
+ * Wraps a BlochSphereVisualizer in a shadow root so any number can share a page.
+ * Needs three.js, OrbitControls, quantum-core.js, canvas-renderer.js,
+ * gif-encoder.js and bloch-sphere.js loaded first.
+ *
+ * Attributes:
+ *   state     initial state: 0, 1, +, -, i, -i, "θ, φ" in degrees or "x, y, z"
+ *   panels    comma-separated control panels to show (default all), or "none":
+ *             state, map, history, presets, gates, exercises, two-qubit, evolution,
+ *             noise, sequence, synthesis, qasm, measurement, compare, tomography,
+ *             export, settings
+ *   readonly  the view follows the JS API only; controls and dragging are disabled
+ *   primary   this instance owns the URL hash (#state=…) and page-wide shortcuts
+ *   renderer  "canvas" to skip WebGL and use the Canvas 2D fallback; a primary
+ *             instance also honours ?renderer=canvas in the page URL
+ *
+ * API: setState(state, { animate }), applyGate(name, params), measure(), getState(),
+ *      backend ('webgl' or 'canvas')
+ * Events: statechange, gateapplied, measured, exercisechecked, and error for a
+ *   state attribute that can't be read (details in event.detail)
+ * Keyboard: arrows nudge θ/φ, X Y Z H S T apply gates, M measures, R resets,
+ *   1–9 pick presets and ? lists them all; keys go to the focused instance
+ *   (and anywhere on the page to a primary one)
+ *
+ * Plugins, for every instance on the page (throw ValidationError when invalid):
+ *   const BlochSphere = customElements.get('bloch-sphere');
+ *   BlochSphere.registerGate('hxy', { axis: [1, 1, 0], angle: Math.PI } or a 2×2 unitary, { label, color })
+ *   BlochSphere.registerPreset('psi', { theta, phi } or a QubitState, { label })
+ *   BlochSphere.registerChannel('leak', [K0, K1, …] or (p) => [K0, …], { label })
+ */
+(function () {
+// styles.css sits next to this script
+const STYLESHEET = new URL('styles.css', document.currentScript.src).href;
+
+const TEMPLATE = document.createElement('template');
+TEMPLATE.innerHTML = `
+<link rel="stylesheet" href="${STYLESHEET}">
+    <div class="main-container">
+        <!-- 3D Visualization Container -->
+        <div class="visualization-container">
+            <div id="three-container"></div>
+            <div class="info-overlay">
+                <div class="coordinates">
+                    <span id="state-coords" title="Click to edit" role="button" tabindex="0">|ψ⟩ = α|0⟩ + β|1⟩</span>
+                </div>
+            </div>
+            <div id="render-backend" class="render-backend"></div>
+            <button id="shortcuts-btn" class="shortcuts-btn" title="Keyboard shortcuts (?)" aria-label="Keyboard shortcuts" aria-haspopup="dialog">⌨</button>
+            <p id="sphere-description" class="visually-hidden">
+                The state is drawn as an arrow from the centre of the sphere: |0⟩ at the top, |1⟩ at the bottom,
+                |+⟩ and |−⟩ along the X axis, |i⟩ and |−i⟩ along the Y axis; mixed states are shorter arrows.
+                Arrow keys move the state, and the question mark key lists every keyboard shortcut.
+            </p>
+            <div id="state-announcer" class="visually-hidden" aria-live="polite" aria-atomic="true"></div>
+            <div id="shortcut-help" class="shortcut-help" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" hidden>
+                <h3 id="shortcut-help-title">⌨ Keyboard Shortcuts</h3>
+                <table class="shortcut-table">
+                    <tr><td><kbd>↑</kbd> <kbd>↓</kbd></td><td>θ − / + 5° (with Shift 15°)</td></tr>
+                    <tr><td><kbd>←</kbd> <kbd>→</kbd></td><td>φ − / + 5° (with Shift 15°)</td></tr>
+                    <tr><td><kbd>X</kbd> <kbd>Y</kbd> <kbd>Z</kbd> <kbd>H</kbd></td><td>Apply the gate</td></tr>
+                    <tr><td><kbd>S</kbd> <kbd>T</kbd></td><td>Apply S or T; with Shift S† or T†</td></tr>
+                    <tr><td><kbd>M</kbd></td><td>Measure</td></tr>
+                    <tr><td><kbd>R</kbd></td><td>Reset to |0⟩</td></tr>
+                    <tr><td><kbd>1</kbd> … <kbd>9</kbd></td><td>Preset states in panel order: |0⟩, |1⟩, |+⟩, |−⟩, |i⟩, |−i⟩</td></tr>
+                    <tr><td><kbd>Ctrl</kbd> + <kbd>Z</kbd></td><td>Undo; with Shift, or <kbd>Ctrl</kbd> + <kbd>Y</kbd>, redo</td></tr>
+                    <tr><td><kbd>?</kbd></td><td>Show or hide this list</td></tr>
+                </table>
+                <p class="shortcut-note">
+                    Keys go to the sphere that has focus; a page's primary sphere also takes them anywhere
+                    outside text fields. Gate keys follow the gate buttons, so they record into the sequence
+                    or count as exercise moves when those are on.
+                </p>
+                <button id="shortcut-help-close" class="seq-btn">Close</button>
+            </div>
+        </div>
+        
+        <!-- Control Panel -->
+        <div class="control-panel">
+            <div class="control-section single-qubit-only" data-panel="state">
+                <h3>🎯 Quantum State</h3>
+                <div class="slider-group">
+                    <label>
+                        θ (Theta): <span id="theta-value">0°</span>
+                        <input type="range" id="theta-slider" min="0" max="180" step="1" value="0">
+                    </label>
+                    <label>
+                        φ (Phi): <span id="phi-value">0°</span>
+                        <input type="range" id="phi-slider" min="0" max="360" step="1" value="0">
+                    </label>
+                </div>
+                <div class="state-entry">
+                    <div class="state-entry-row">
+                        <select id="state-entry-mode" class="angle-input" title="What to type in">
+                            <option value="amplitudes" selected>Amplitudes α, β</option>
+                            <option value="bloch">Bloch vector (x, y, z)</option>
+                        </select>
+                        <select id="amplitude-format" class="angle-input" title="How the readout shows amplitudes">
+                            <option value="rectangular" selected>a + bi</option>
+                            <option value="polar">r·e^(iφ)</option>
+                        </select>
+                    </div>
+                    <div id="amplitude-entry" class="amplitude-entry">
+                        <label class="param-label">α <input type="text" id="alpha-input" class="angle-input" placeholder="1/sqrt(2)" spellcheck="false"></label>
+                        <label class="param-label">β <input type="text" id="beta-input" class="angle-input" placeholder="e^(i*pi/4)/sqrt(2)" spellcheck="false"></label>
+                    </div>
+                    <div id="bloch-entry" class="amplitude-entry" hidden>
+                        <label class="param-label">x <input type="text" id="bloch-x-input" class="angle-input" placeholder="0" spellcheck="false"></label>
+                        <label class="param-label">y <input type="text" id="bloch-y-input" class="angle-input" placeholder="0" spellcheck="false"></label>
+                        <label class="param-label">z <input type="text" id="bloch-z-input" class="angle-input" placeholder="1" spellcheck="false"></label>
+                    </div>
+                    <div class="state-entry-row">
+                        <label class="checkbox-label">
+                            <input type="checkbox" id="normalize-input">
+                            Normalize
+                        </label>
+                        <button id="set-state-btn" class="seq-btn">Set state</button>
+                    </div>
+                    <div id="state-entry-status" class="sequence-status" role="status"></div>
+                </div>
+            </div>
+            
+            <div class="control-section" data-panel="map">
+                <h3>🗺️ 2D View</h3>
+                <div class="state-entry-row">
+                    <select id="map-view" aria-label="2D view" class="angle-input">
+                        <option value="angles" selected>θ–φ map</option>
+                        <option value="projections">XZ / XY projections</option>
+                    </select>
+                    <button id="map-clear" class="seq-btn" title="Forget the trajectory so far">Clear trail</button>
+                </div>
+                <canvas id="bloch-map" role="img" aria-label="2D map of the state and its recent path" class="bloch-map"></canvas>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="history">
+                <h3>🕘 History</h3>
+                <div class="history-controls">
+                    <button id="undo-btn" class="seq-btn" title="Undo (Ctrl+Z)">↶ Undo</button>
+                    <button id="redo-btn" class="seq-btn" title="Redo (Ctrl+Shift+Z)">↷ Redo</button>
+                </div>
+                <input type="range" id="history-scrub" class="history-scrub" min="0" max="0" step="1" value="0" title="Scrub through the history">
+                <div id="history-timeline" class="history-timeline"></div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="presets">
+                <h3>📐 Preset States</h3>
+                <div class="preset-buttons">
+                    <button class="preset-btn" data-state="ground" aria-label="ket 0">|0⟩</button>
+                    <button class="preset-btn" data-state="excited" aria-label="ket 1">|1⟩</button>
+                    <button class="preset-btn" data-state="plus" aria-label="ket plus">|+⟩</button>
+                    <button class="preset-btn" data-state="minus" aria-label="ket minus">|−⟩</button>
+                    <button class="preset-btn" data-state="right" aria-label="ket i">|i⟩</button>
+                    <button class="preset-btn" data-state="left" aria-label="ket minus i">|−i⟩</button>
+                </div>
+            </div>
+            
+            <div class="control-section" data-panel="gates">
+                <h3>🔄 Quantum Gates</h3>
+                <div class="gate-buttons">
+                    <button class="gate-btn" data-gate="x">Pauli-X</button>
+                    <button class="gate-btn" data-gate="y">Pauli-Y</button>
+                    <button class="gate-btn" data-gate="z">Pauli-Z</button>
+                    <button class="gate-btn" data-gate="h">Hadamard</button>
+                    <button class="gate-btn" data-gate="sx" aria-label="Square root of X">√X</button>
+                    <button class="gate-btn" data-gate="s">S</button>
+                    <button class="gate-btn" data-gate="sdg" aria-label="S dagger">S†</button>
+                    <button class="gate-btn" data-gate="t">T</button>
+                    <button class="gate-btn" data-gate="tdg" aria-label="T dagger">T†</button>
+                </div>
+                <div id="custom-gates" class="gate-buttons custom-gates" hidden></div>
+                <div class="param-gates">
+                    <label class="param-label">
+                        Angle (°)
+                        <input type="number" id="gate-angle" class="angle-input" value="90" step="1">
+                    </label>
+                    <div class="gate-buttons">
+                        <button class="gate-btn" data-gate="rx">Rx(θ)</button>
+                        <button class="gate-btn" data-gate="ry">Ry(θ)</button>
+                        <button class="gate-btn" data-gate="rz">Rz(θ)</button>
+                        <button class="gate-btn" data-gate="p">P(λ)</button>
+                    </div>
+                    <div class="u3-inputs">
+                        <label class="param-label">θ <input type="number" id="u3-theta" class="angle-input" value="90" step="1"></label>
+                        <label class="param-label">φ <input type="number" id="u3-phi" class="angle-input" value="0" step="1"></label>
+                        <label class="param-label">λ <input type="number" id="u3-lambda" class="angle-input" value="180" step="1"></label>
+                        <button class="gate-btn" data-gate="u3">U3</button>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="exercises">
+                <h3>🎓 Exercises</h3>
+                <div class="share-buttons">
+                    <button id="exercise-sample" class="seq-btn" title="Start the built-in problem set">▶ Sample set</button>
+                    <button id="exercise-load" class="seq-btn" title="Load a problem set from a JSON file">⬆ Load JSON</button>
+                    <button id="exercise-leave" class="seq-btn" title="Back to the free-play controls" disabled>⏏ Leave</button>
+                    <input type="file" id="exercise-input" accept=".json,application/json" hidden>
+                </div>
+                <div id="exercise-problem" class="exercise-problem" hidden>
+                    <div id="exercise-title" class="exercise-title"></div>
+                    <p id="exercise-description" class="exercise-description"></p>
+                    <table id="exercise-statistics" class="compare-table" hidden></table>
+                    <div id="exercise-rules" class="sequence-status" role="status"></div>
+                    <div class="exercise-buttons">
+                        <button id="exercise-prev" aria-label="Previous problem" class="seq-btn" title="Previous problem">⏴</button>
+                        <button id="exercise-check" class="seq-btn">✔ Check</button>
+                        <button id="exercise-hint" class="seq-btn">💡 Hint</button>
+                        <button id="exercise-restart" aria-label="Restart problem" class="seq-btn" title="Back to the start state">↺</button>
+                        <button id="exercise-next" aria-label="Next problem" class="seq-btn" title="Next problem">⏵</button>
+                    </div>
+                    <ul id="exercise-hints" class="exercise-hints"></ul>
+                    <div id="exercise-score" class="exercise-score"></div>
+                </div>
+                <div id="exercise-status" class="sequence-status" role="status"></div>
+            </div>
+            
+            <div class="control-section" data-panel="two-qubit">
+                <h3>🔗 Two Qubits</h3>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="two-qubit-mode">
+                    Two-qubit mode
+                </label>
+                <div id="two-qubit-controls" class="two-qubit-controls" hidden>
+                    <div class="two-qubit-selects">
+                        <label class="param-label">
+                            Gates act on
+                            <select id="two-qubit-target" class="angle-input">
+                                <option value="0" selected>A</option>
+                                <option value="1">B</option>
+                            </select>
+                        </label>
+                        <label class="param-label">
+                            Control
+                            <select id="two-qubit-control" class="angle-input">
+                                <option value="0" selected>A</option>
+                                <option value="1">B</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="gate-buttons">
+                        <button class="two-qubit-gate-btn" data-gate="cnot">CNOT</button>
+                        <button class="two-qubit-gate-btn" data-gate="cz">CZ</button>
+                        <button class="two-qubit-gate-btn" data-gate="swap">SWAP</button>
+                        <button class="two-qubit-gate-btn" data-gate="cp" title="Uses the angle above">CP(λ)</button>
+                    </div>
+                    <div class="preset-buttons">
+                        <button class="two-qubit-preset-btn" data-state="00" aria-label="ket 0 0">|00⟩</button>
+                        <button class="two-qubit-preset-btn" data-state="phi-plus" aria-label="Bell state Phi plus">|Φ⁺⟩</button>
+                        <button class="two-qubit-preset-btn" data-state="phi-minus" aria-label="Bell state Phi minus">|Φ⁻⟩</button>
+                        <button class="two-qubit-preset-btn" data-state="psi-plus" aria-label="Bell state Psi plus">|Ψ⁺⟩</button>
+                        <button class="two-qubit-preset-btn" data-state="psi-minus" aria-label="Bell state Psi minus">|Ψ⁻⟩</button>
+                        <button class="two-qubit-preset-btn" data-state="product" aria-label="Product of the A and B arrows" title="|A⟩ ⊗ |B⟩ with the current arrow directions">|a⟩|b⟩</button>
+                    </div>
+                    <div id="two-qubit-amplitudes" class="prob-display"></div>
+                    <div class="mixedness">
+                        <span>Concurrence C = <span id="concurrence">0.000</span></span>
+                        <span>S(ρ_A) = <span id="entanglement-entropy">0.000</span> bits</span>
+                    </div>
+                    <button id="two-qubit-measure" class="action-btn">🎲 Measure both</button>
+                    <div id="two-qubit-result" class="sequence-status" role="status"></div>
+                </div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="evolution">
+                <h3>⏱️ Time Evolution</h3>
+                <div class="evolution-params">
+                    <label class="param-label">ω₀/2π (Hz) <input type="number" id="evo-qubit-freq" class="angle-input evo-param" value="1" step="0.1"></label>
+                    <label class="param-label">Ω/2π (Hz) <input type="number" id="evo-drive-amp" class="angle-input evo-param" value="0.25" step="0.05"></label>
+                    <label class="param-label">ω/2π (Hz) <input type="number" id="evo-drive-freq" class="angle-input evo-param" value="1" step="0.1"></label>
+                    <label class="param-label">Phase (°) <input type="number" id="evo-drive-phase" class="angle-input evo-param" value="0" step="15"></label>
+                    <label class="param-label">T1 (s) <input type="number" id="evo-t1" class="angle-input evo-param" value="0" min="0" step="1"></label>
+                    <label class="param-label">T2 (s) <input type="number" id="evo-t2" class="angle-input evo-param" value="0" min="0" step="1"></label>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="evo-rotating-frame">
+                    Rotating frame
+                </label>
+                <div class="evolution-controls">
+                    <button id="evo-play" class="seq-btn">▶ Run</button>
+                    <button id="evo-reset" class="seq-btn">⏮ Reset</button>
+                    <select id="evo-speed" aria-label="Playback speed" class="angle-input">
+                        <option value="0.25">0.25×</option>
+                        <option value="0.5">0.5×</option>
+                        <option value="1" selected>1×</option>
+                        <option value="2">2×</option>
+                        <option value="4">4×</option>
+                    </select>
+                </div>
+                <canvas id="evolution-plot" role="img" aria-label="Plot of the Bloch vector components over time" class="evolution-plot"></canvas>
+                <div id="evo-readout" class="sequence-status"></div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="noise">
+                <h3>🌫️ Noise Channels</h3>
+                <label class="param-label">
+                    Strength
+                    <input type="range" id="noise-strength" min="0" max="1" step="0.01" value="0.2">
+                    <span id="noise-strength-value">0.20</span>
+                </label>
+                <div class="noise-buttons">
+                    <button class="noise-btn" data-channel="damping">Amplitude damping (T1)</button>
+                    <button class="noise-btn" data-channel="dephasing">Phase damping (T2)</button>
+                    <button class="noise-btn" data-channel="depolarizing">Depolarizing</button>
+                    <button class="noise-btn" data-channel="bitflip">Bit flip</button>
+                    <button class="noise-btn" data-channel="phaseflip">Phase flip</button>
+                </div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="sequence">
+                <h3>🎞️ Gate Sequence</h3>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="record-sequence">
+                    Add gate clicks to sequence
+                </label>
+                <div id="sequence-timeline" class="sequence-timeline"></div>
+                <div class="sequence-controls">
+                    <button id="seq-rewind" aria-label="Back to start" class="seq-btn" title="Back to start">⏮</button>
+                    <button id="seq-back" aria-label="Step back" class="seq-btn" title="Step back">⏴</button>
+                    <button id="seq-play" aria-label="Play" class="seq-btn" title="Play">▶</button>
+                    <button id="seq-forward" aria-label="Step forward" class="seq-btn" title="Step forward">⏵</button>
+                    <button id="seq-clear" aria-label="Clear sequence" class="seq-btn" title="Clear sequence">🗑</button>
+                </div>
+                <label class="param-label">
+                    Speed
+                    <select id="seq-speed" class="angle-input">
+                        <option value="0.25">0.25×</option>
+                        <option value="0.5">0.5×</option>
+                        <option value="1" selected>1×</option>
+                        <option value="2">2×</option>
+                        <option value="4">4×</option>
+                    </select>
+                </label>
+                <div id="sequence-status" class="sequence-status" role="status"></div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="synthesis">
+                <h3>🧭 Solve</h3>
+                <div class="synth-target">
+                    <label class="param-label">
+                        Target
+                        <select id="synth-target" class="angle-input">
+                            <option value="ground">|0⟩</option>
+                            <option value="excited" selected>|1⟩</option>
+                            <option value="plus">|+⟩</option>
+                            <option value="minus">|−⟩</option>
+                            <option value="right">|i⟩</option>
+                            <option value="left">|−i⟩</option>
+                            <option value="amplitudes">Amplitudes α, β</option>
+                            <option value="picked">Picked on sphere</option>
+                        </select>
+                    </label>
+                    <button id="synth-pick" class="seq-btn" title="Click a point on the sphere">🎯 Pick</button>
+                </div>
+                <div id="synth-amplitudes" class="amplitude-entry" hidden>
+                    <label class="param-label">α <input type="text" id="synth-alpha" class="angle-input" value="cos(pi/8)" spellcheck="false"></label>
+                    <label class="param-label">β <input type="text" id="synth-beta" class="angle-input" value="e^(i*pi/4)*sin(pi/8)" spellcheck="false"></label>
+                </div>
+                <label class="param-label">
+                    Gate set
+                    <select id="synth-gate-set" class="angle-input">
+                        <option value="zyz" selected>Rz/Ry (exact ZYZ)</option>
+                        <option value="clifford">Clifford {H, S}</option>
+                        <option value="cliffordT">Clifford+T (approximate)</option>
+                    </select>
+                </label>
+                <label id="synth-precision-label" class="param-label" hidden>
+                    Precision ε
+                    <input type="number" id="synth-precision" class="angle-input" value="0.01" min="0.0001" max="1" step="0.001">
+                </label>
+                <button id="synth-solve" class="action-btn">🧭 Solve from current state</button>
+                <div id="synth-status" class="sequence-status" role="status"></div>
+                <table id="synth-curve" class="synth-curve" hidden></table>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="qasm">
+                <h3>📜 OpenQASM</h3>
+                <textarea id="qasm-text" class="qasm-text" rows="8" spellcheck="false"
+                    placeholder="OPENQASM 3.0;&#10;include &quot;stdgates.inc&quot;;&#10;qubit[1] q;&#10;h q[0];"></textarea>
+                <div class="qasm-buttons">
+                    <button id="qasm-load" class="seq-btn" title="Load the program into the gate sequence">⬆ Load</button>
+                    <button id="qasm-export" class="seq-btn" title="Write the gates applied with the gate buttons as QASM">⬇ Export</button>
+                    <select id="qasm-version" class="angle-input" title="OpenQASM version for export">
+                        <option value="2">2.0</option>
+                        <option value="3" selected>3.0</option>
+                    </select>
+                </div>
+                <div id="qasm-status" class="sequence-status" role="status"></div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="measurement">
+                <h3>📊 Measurement</h3>
+                <div class="measurement-info">
+                    <div class="prob-display">
+                        <div class="prob-bar">
+                            <span>P(|0⟩) = <span id="prob-0">100%</span></span>
+                            <div class="bar" aria-hidden="true"><div id="bar-0" class="fill"></div></div>
+                        </div>
+                        <div class="prob-bar">
+                            <span>P(|1⟩) = <span id="prob-1">0%</span></span>
+                            <div class="bar" aria-hidden="true"><div id="bar-1" class="fill"></div></div>
+                        </div>
+                        <div class="prob-bar">
+                            <span>⟨X⟩ = <span id="exp-x">0.000</span></span>
+                            <div class="bar" aria-hidden="true"><div id="exp-bar-x" class="fill expectation-fill axis-x"></div></div>
+                        </div>
+                        <div class="prob-bar">
+                            <span>⟨Y⟩ = <span id="exp-y">0.000</span></span>
+                            <div class="bar" aria-hidden="true"><div id="exp-bar-y" class="fill expectation-fill axis-y"></div></div>
+                        </div>
+                        <div class="prob-bar">
+                            <span>⟨Z⟩ = <span id="exp-z">1.000</span></span>
+                            <div class="bar" aria-hidden="true"><div id="exp-bar-z" class="fill expectation-fill axis-z"></div></div>
+                        </div>
+                    </div>
+                    <div class="mixedness">
+                        <span>Purity Tr(ρ²) = <span id="purity">1.000</span></span>
+                        <span>Entropy S(ρ) = <span id="entropy">0.000</span> bits</span>
+                    </div>
+                    <div class="measurement-basis">
+                        <label class="param-label">
+                            Basis
+                            <select id="measure-basis" class="angle-input">
+                                <option value="z" selected>Z</option>
+                                <option value="x">X</option>
+                                <option value="y">Y</option>
+                                <option value="custom">Axis (θ, φ)</option>
+                            </select>
+                        </label>
+                        <div id="custom-basis" class="custom-basis" hidden>
+                            <label class="param-label">θ <input type="number" id="basis-theta" class="angle-input" value="90" step="1"></label>
+                            <label class="param-label">φ <input type="number" id="basis-phi" class="angle-input" value="0" step="1"></label>
+                            <button id="basis-pick" class="seq-btn" title="Click a point on the sphere">🎯 Pick</button>
+                        </div>
+                    </div>
+                    <button id="measure-btn" class="action-btn">🎲 Measure</button>
+                    <div id="measure-result" class="sequence-status" role="status"></div>
+                    <div class="shot-controls">
+                        <label class="param-label">Shots <input type="number" id="shot-count" class="angle-input" value="1000" min="1" max="10000" step="1"></label>
+                        <label class="param-label">Seed <input type="number" id="shot-seed" class="angle-input" placeholder="random" step="1"></label>
+                        <button id="run-shots" class="seq-btn">Run</button>
+                    </div>
+                    <div id="shot-histogram" class="shot-histogram"></div>
+                </div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="compare">
+                <h3>📌 Compare States</h3>
+                <div class="pin-source">
+                    <label class="param-label">
+                        Pin
+                        <select id="pin-source" class="angle-input">
+                            <option value="current" selected>Current state</option>
+                            <option value="ground">|0⟩</option>
+                            <option value="excited">|1⟩</option>
+                            <option value="plus">|+⟩</option>
+                            <option value="minus">|−⟩</option>
+                            <option value="right">|i⟩</option>
+                            <option value="left">|−i⟩</option>
+                            <option value="amplitudes">Amplitudes α, β</option>
+                        </select>
+                    </label>
+                    <button id="pin-add" class="seq-btn" title="Keep this state on the sphere for comparison">📌 Pin</button>
+                </div>
+                <div id="pin-amplitudes" class="amplitude-entry" hidden>
+                    <label class="param-label">α <input type="text" id="pin-alpha" class="angle-input" value="1/sqrt(2)" spellcheck="false"></label>
+                    <label class="param-label">β <input type="text" id="pin-beta" class="angle-input" value="e^(i*pi/3)/sqrt(2)" spellcheck="false"></label>
+                </div>
+                <label class="param-label">
+                    Name
+                    <input type="text" id="pin-name" class="angle-input pin-name" placeholder="automatic" spellcheck="false">
+                </label>
+                <div id="pin-list" class="pin-list"></div>
+                <table id="compare-table" class="compare-table" hidden></table>
+                <div id="compare-status" class="sequence-status" role="status"></div>
+            </div>
+            
+            <div class="control-section single-qubit-only" data-panel="tomography">
+                <h3>🔬 State Tomography</h3>
+                <div class="shot-controls">
+                    <label class="param-label">Shots/basis <input type="number" id="tomo-shots" class="angle-input" value="1000" min="1" max="100000" step="1"></label>
+                    <button id="tomo-run" class="seq-btn">Run</button>
+                    <button id="tomo-sweep-btn" class="seq-btn" title="Average error for N = 10 … 10,000">Sweep N</button>
+                </div>
+                <table class="tomo-counts">
+                    <tr><th>Basis</th><th>n₊</th><th>n₋</th></tr>
+                    <tr><td>X</td><td><input type="number" id="tomo-x-plus" aria-label="X basis, + outcomes" class="angle-input" min="0" step="1"></td><td><input type="number" id="tomo-x-minus" aria-label="X basis, − outcomes" class="angle-input" min="0" step="1"></td></tr>
+                    <tr><td>Y</td><td><input type="number" id="tomo-y-plus" aria-label="Y basis, + outcomes" class="angle-input" min="0" step="1"></td><td><input type="number" id="tomo-y-minus" aria-label="Y basis, − outcomes" class="angle-input" min="0" step="1"></td></tr>
+                    <tr><td>Z</td><td><input type="number" id="tomo-z-plus" aria-label="Z basis, + outcomes" class="angle-input" min="0" step="1"></td><td><input type="number" id="tomo-z-minus" aria-label="Z basis, − outcomes" class="angle-input" min="0" step="1"></td></tr>
+                </table>
+                <div class="shot-controls">
+                    <label class="param-label">
+                        Show
+                        <select id="tomo-estimator" class="angle-input">
+                            <option value="mle" selected>MLE</option>
+                            <option value="linear">Linear</option>
+                        </select>
+                    </label>
+                    <button id="tomo-reconstruct" class="seq-btn">Reconstruct</button>
+                    <button id="tomo-clear" class="seq-btn">Clear</button>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="tomo-hide-state">
+                    Hide true state
+                </label>
+                <div id="tomo-results" class="sequence-status" role="status"></div>
+                <table id="tomo-sweep" class="tomo-sweep"></table>
+            </div>
+            
+            <div class="control-section" data-panel="export">
+                <h3>📤 Export</h3>
+                <div class="export-options">
+                    <label class="param-label">Width <input type="number" id="export-width" class="angle-input" value="1920" min="16" max="8192" step="1"></label>
+                    <label class="param-label">Height <input type="number" id="export-height" class="angle-input" value="1080" min="16" max="8192" step="1"></label>
+                </div>
+                <label class="checkbox-label">
+                    <input type="checkbox" id="export-transparent">
+                    Transparent background
+                </label>
+                <div class="export-buttons">
+                    <button id="export-png" class="seq-btn" title="The current view as an image at the size above">🖼 PNG</button>
+                    <button id="export-svg" class="seq-btn" title="Vector drawing of the sphere and arrow">✒ SVG</button>
+                </div>
+                <div class="export-options">
+                    <label class="param-label">
+                        Record
+                        <select id="record-source" class="angle-input">
+                            <option value="sequence">Gate sequence</option>
+                            <option value="evolution">Time evolution</option>
+                            <option value="view">View, until stopped</option>
+                        </select>
+                    </label>
+                    <label class="param-label">
+                        as
+                        <select id="record-format" class="angle-input">
+                            <option value="webm">WebM</option>
+                            <option value="gif">GIF</option>
+                        </select>
+                    </label>
+                </div>
+                <label class="param-label">
+                    At most (s)
+                    <input type="number" id="record-seconds" class="angle-input" value="20" min="1" max="120" step="1">
+                </label>
+                <button id="record-btn" class="action-btn export-record">⏺ Record</button>
+                <div class="share-buttons">
+                    <button id="export-csv" class="seq-btn" title="Time, θ, φ, x, y, z, P0, P1 of every state shown">⬇ Path CSV</button>
+                    <button id="export-trajectory-json" class="seq-btn" title="Time, θ, φ, x, y, z, P0, P1 of every state shown">⬇ Path JSON</button>
+                    <button id="trajectory-clear" class="seq-btn" title="Start the recorded path again from now">🗑 Clear path</button>
+                </div>
+                <div id="export-status" class="sequence-status" role="status"></div>
+            </div>
+            
+            <div class="control-section" data-panel="settings">
+                <h3>⚙️ Settings</h3>
+                <div class="settings">
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-axes" checked>
+                        Show Coordinate Axes
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-sphere" checked>
+                        Show Sphere Wireframe
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="animate-gates" checked>
+                        Animate Gate Operations
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-trail">
+                        Show Trajectory Trail
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-grid">
+                        Show Latitude/Longitude Grid
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-angles">
+                        Show θ/φ Angle Arcs
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-projections">
+                        Show Projections onto X, Y, Z
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-equator">
+                        Show Equator
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="show-great-circle">
+                        Show Great Circle
+                    </label>
+                    <div id="great-circle-normal" class="custom-basis" hidden>
+                        <label class="param-label">Normal θ <input type="number" id="great-circle-theta" class="angle-input" value="90" step="1"></label>
+                        <label class="param-label">φ <input type="number" id="great-circle-phi" class="angle-input" value="90" step="1"></label>
+                    </div>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="drag-state" checked>
+                        Drag State on Sphere
+                    </label>
+                    <label class="checkbox-label">
+                        <input type="checkbox" id="snap-state">
+                        Snap Drag to Cardinal States and 15° Grid
+                    </label>
+                    <button id="reset-btn" class="action-btn">🔄 Reset</button>
+                    <div class="share-buttons">
+                        <button id="share-link-btn" class="seq-btn">🔗 Copy link</button>
+                        <button id="export-json-btn" class="seq-btn">⬇ Export JSON</button>
+                        <button id="import-json-btn" class="seq-btn">⬆ Import JSON</button>
+                        <input type="file" id="import-json-input" accept=".json,application/json" hidden>
+                    </div>
+                    <div id="share-status" class="sequence-status" role="status"></div>
+                </div>
+            </div>
+        </div>
+    </div>
+`;
+
+// Named states accepted by the `state` attribute, as (θ, φ) in degrees
+const NAMED_STATES = {
+    '0': [0, 0], '1': [180, 0],
+    '+': [90, 0], '-': [90, 180],
+    'i': [90, 90], '-i': [90, 270]
+};
+
+class BlochSphereElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['state', 'panels', 'readonly'];
+    }
+    
+    // The `state` attribute as a QubitState; throws ValidationError on bad input
+    static parseState(value) {
+        const text = value.trim().replace(/^\|(.*)⟩$/, '$1').replace(/−/g, '-');
+        const named = Object.hasOwn(NAMED_STATES, text) && NAMED_STATES[text];
+        if (named) {
+            return QubitState.fromAngles(named[0] * Math.PI / 180, named[1] * Math.PI / 180);
+        }
+        
+        const numbers = text.split(',').map(part => evaluateExpression(part));
+        if (numbers.length === 2) {
+            return QubitState.fromAngles(numbers[0] * Math.PI / 180, numbers[1] * Math.PI / 180);
+        }
+        if (numbers.length === 3) {
+            return new QubitState(...numbers);
+        }
+        throw new ValidationError(`expected 0, 1, +, -, i, -i, "θ, φ" or "x, y, z"`, 'state');
+    }
+    
+    // See BlochSphereVisualizer for the plugin formats
+    static registerGate(name, definition, options) {
+        BlochSphereVisualizer.registerGate(name, definition, options);
+    }
+    
+    static registerPreset(name, state, options) {
+        BlochSphereVisualizer.registerPreset(name, state, options);
+    }
+    
+    static registerChannel(name, kraus, options) {
+        BlochSphereVisualizer.registerChannel(name, kraus, options);
+    }
+    
+    connectedCallback() {
+        if (this.visualizer) return;
+        if (!this.shadowRoot) this.attachShadow({ mode: 'open' });
+        this.shadowRoot.replaceChildren(TEMPLATE.content.cloneNode(true));
+        this.applyPanels();
+        
+        let initialState = null;
+        let stateError = null;
+        if (this.hasAttribute('state')) {
+            try {
+                initialState = BlochSphereElement.parseState(this.getAttribute('state'));
+            } catch (err) {
+                stateError = err;
+            }
+        }
+        
+        const primary = this.hasAttribute('primary');
+        const renderer = this.getAttribute('renderer') ||
+            (primary && new URLSearchParams(location.search).get('renderer')) || 'auto';
+        
+        this.visualizer = new BlochSphereVisualizer(this.shadowRoot, {
+            host: this,
+            primary,
+            initialState,
+            renderer
+        });
+        this.applyReadOnly();
+        if (stateError) this.reportStateError(stateError);
+    }
+    
+    disconnectedCallback() {
+        if (!this.visualizer) return;
+        this.visualizer.dispose();
+        this.visualizer = null;
+        this.shadowRoot.replaceChildren();
+    }
+    
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.visualizer || oldValue === value) return;
+        if (name === 'panels') this.applyPanels();
+        if (name === 'readonly') this.applyReadOnly();
+        if (name === 'state' && value !== null) {
+            try {
+                this.visualizer.setState(BlochSphereElement.parseState(value));
+            } catch (err) {
+                this.reportStateError(err);
+            }
+        }
+    }
+    
+    // A bad state attribute shows in the State panel and fires an error event
+    reportStateError(err) {
+        const message = err.path ? err.message : `state: ${err.message}`;
+        this.visualizer.showStateEntryStatus(message, true);
+        this.dispatchEvent(new CustomEvent('error', { detail: { message, attribute: 'state' } }));
+    }
+    
+    applyPanels() {
+        const value = (this.getAttribute('panels') || 'all').trim();
+        const wanted = value === 'all' ? null : value.split(',').map(name => name.trim());
+        this.shadowRoot.querySelectorAll('.control-section').forEach(section => {
+            section.hidden = wanted !== null && !wanted.includes(section.dataset.panel);
+        });
+        this.shadowRoot.querySelector('.main-container').classList.toggle('no-controls', value === 'none');
+    }
+    
+    applyReadOnly() {
+        const readOnly = this.hasAttribute('readonly');
+        this.visualizer.readOnly = readOnly;
+        this.shadowRoot.querySelector('.control-panel').inert = readOnly;
+        this.shadowRoot.querySelector('.main-container').classList.toggle('read-only', readOnly);
+    }
+    
+    // QubitState, { theta, phi[, radius] } or { x, y, z }
+    setState(state, { animate = true } = {}) {
+        this.connectedVisualizer('setState').setState(state, { animate });
+    }
+    
+    // Returns false if the gate is unknown or missing parameters
+    applyGate(name, params = []) {
+        const visualizer = this.connectedVisualizer('applyGate');
+        if (!QuantumGates.matrix(name, params)) return false;
+        visualizer.applyQuantumGate(name, params);
+        return true;
+    }
+    
+    // Measure in the basis chosen in the Measurement panel (Z by default);
+    // null while an animation runs, in which case the measured event has the result
+    measure() {
+        return this.connectedVisualizer('measure').measureNow();
+    }
+    
+    getState() {
+        return this.connectedVisualizer('getState').getState();
+    }
+    
+    // The sphere only exists while the element is in the document
+    connectedVisualizer(method) {
+        if (!this.visualizer) {
+            throw new Error(`<bloch-sphere>.${method}() needs the element to be in the document; use the state attribute to set a starting state`);
+        }
+        return this.visualizer;
+    }
+    
+    // 'webgl' or 'canvas'
+    get backend() {
+        return this.visualizer ? this.visualizer.backend : null;
+    }
+}
+
+customElements.define('bloch-sphere', BlochSphereElement);
+})();
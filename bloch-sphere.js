@@ -1,41 +1,180 @@
 /**
  * Interactive Bloch Sphere Visualizer
  * A comprehensive quantum state visualization tool using Three.js
+ * The physics lives in quantum-core.js; this file only draws and animates it.
  */
-// Complex number utilities
-function complex(re, im) {
-  return { re, im };
-}
+const { ValidationError, evaluateComplex, evaluateExpression, Complex, QuantumGates, DensityMatrix, QubitState, TwoQubitState, NoiseChannels, Measurement, Tomography, TimeEvolution, Synthesis, Exercises, Serialization, Qasm, createRng } = QuantumCore;
 
-function add(c1, c2) {
-  return { re: c1.re + c2.re, im: c1.im + c2.im };
-}
+// Settings saved in permalinks and JSON exports, keyed to their checkboxes
+const SHARED_SETTINGS = {
+    showAxes: 'show-axes',
+    showSphere: 'show-sphere',
+    animateGates: 'animate-gates',
+    showTrail: 'show-trail',
+    showGrid: 'show-grid',
+    showAngles: 'show-angles',
+    showProjections: 'show-projections',
+    showEquator: 'show-equator',
+    showGreatCircle: 'show-great-circle'
+};
 
-function sub(c1, c2) {
-  return { re: c1.re - c2.re, im: c1.im - c2.im };
-}
+// Preset states by their button's data-state, also the Solve panel's targets
+const PRESET_STATES = {
+    'ground': { theta: 0, phi: 0, label: '|0⟩' },
+    'excited': { theta: Math.PI, phi: 0, label: '|1⟩' },
+    'plus': { theta: Math.PI/2, phi: 0, label: '|+⟩' },            // (|0⟩ + |1⟩)/√2
+    'minus': { theta: Math.PI/2, phi: Math.PI, label: '|−⟩' },     // (|0⟩ - |1⟩)/√2
+    'right': { theta: Math.PI/2, phi: Math.PI/2, label: '|i⟩' },   // (|0⟩ + i|1⟩)/√2
+    'left': { theta: Math.PI/2, phi: 3*Math.PI/2, label: '|−i⟩' }  // (|0⟩ - i|1⟩)/√2
+};
 
-function mul(c1, c2) {
-  return {
-    re: c1.re * c2.re - c1.im * c2.im,
-    im: c1.re * c2.im + c1.im * c2.re
-  };
-}
+// Colours for pinned comparison states, used in turn
+const PIN_COLORS = ['#f59e0b', '#ec4899', '#84cc16', '#a855f7', '#f97316', '#14b8a6', '#eab308', '#6366f1'];
 
-function scale(c, s) {
-  return { re: c.re * s, im: c.im * s };
-}
+// Problem set behind the Exercises panel's "Sample set" button, and a template
+// for instructors writing their own (format in Exercises, quantum-core.js)
+const SAMPLE_EXERCISES = {
+    format: 'bloch-sphere-exercises',
+    version: 1,
+    title: 'Single-qubit warm-up',
+    problems: [
+        {
+            title: 'Flip it',
+            description: 'Take |0⟩ to |1⟩ in one move.',
+            start: '0',
+            target: '1',
+            gates: ['x', 'h', 'z'],
+            maxSteps: 1,
+            hints: ['Which gate is the quantum NOT?']
+        },
+        {
+            title: 'Superposition',
+            description: 'Make an equal superposition of |0⟩ and |1⟩ with no relative phase.',
+            start: '0',
+            target: '+',
+            gates: ['h', 'x', 'z'],
+            maxSteps: 1,
+            hints: ['The target lies on the +X axis.']
+        },
+        {
+            title: 'Onto the Y axis',
+            description: 'Reach |i⟩ = (|0⟩ + i|1⟩)/√2.',
+            start: '0',
+            target: 'i',
+            gates: ['h', 's', 't', 'z'],
+            maxSteps: 2,
+            hints: ['First leave the pole for the equator.', 'S turns the equator by 90°.']
+        },
+        {
+            title: 'Phase kick',
+            description: 'Turn |+⟩ into |−⟩ using T gates only.',
+            start: '+',
+            target: '-',
+            gates: ['t'],
+            maxSteps: 4,
+            hints: ['Each T turns the state 45° about Z.']
+        },
+        {
+            title: 'Mystery state',
+            description: 'The target is hidden: all you get is 1000 measurements in each basis.',
+            start: '0',
+            target: { theta: Math.PI / 2, phi: Math.PI / 4 },
+            show: 'statistics',
+            shots: 1000,
+            gates: ['h', 's', 't'],
+            maxSteps: 3,
+            tolerance: 0.02,
+            hints: ['Z is 50/50, so the state is on the equator.', '⟨X⟩ and ⟨Y⟩ are about equal: φ = 45°, one T from |+⟩.']
+        }
+    ]
+};
 
-function abs(c) {
-  return Math.sqrt(c.re * c.re + c.im * c.im);
-}
+// Panels left usable during an exercise; the others can set the state directly
+const EXERCISE_PANELS = ['exercises', 'gates', 'map', 'compare', 'export'];
 
-function arg(c) {
-  return Math.atan2(c.im, c.re);
-}
+// Gates, presets and noise channels added with the register* methods, in
+// order, and the live visualizers that show a button for each
+const PLUGINS = { gates: [], presets: [], channels: [] };
+const VISUALIZERS = new Set();
 
+/**
+ * One visualizer per control panel. `root` is the document or a shadow root
+ * holding the markup (see bloch-sphere-element.js); element ids are looked up
+ * inside it, so several instances can share a page.
+ *
+ * Options: host receives the statechange/gateapplied/measured events;
+ * primary instances own the URL hash and page-wide keyboard shortcuts;
+ * initialState is a QubitState to start from instead of |0⟩;
+ * renderer 'canvas' skips WebGL and draws with canvas-renderer.js.
+ */
 class BlochSphereVisualizer {
-    constructor() {
+    /**
+     * Plugins: gates, preset states and noise channels a page adds for its own
+     * course, shared by every visualizer on it. Each gets a button in its panel
+     * on existing and future instances. Gates also work in sequences, exercises,
+     * saved documents, links and QASM, so register before loading any of those.
+     * Invalid definitions throw ValidationError.
+     */
+    
+    // definition: a 2×2 unitary or { axis: [x, y, z], angle } (see QuantumGates.define)
+    static registerGate(name, definition, { label = name, color = null } = {}) {
+        if (color !== null && typeof color !== 'string') {
+            throw new ValidationError('expected a CSS colour string', 'color');
+        }
+        QuantumGates.define(name, definition, { label });
+        BlochSphereVisualizer.addPlugin('gates', { name, label, color });
+    }
+    
+    // state: a QubitState or a state object as in saved documents; must be pure
+    static registerPreset(name, state, { label = name } = {}) {
+        if (typeof name !== 'string' || !/^[\w-]+$/.test(name)) {
+            throw new ValidationError('expected letters, digits, _ or -', 'name');
+        }
+        if (name === '__proto__') {
+            throw new ValidationError('"__proto__" is reserved', 'name');
+        }
+        if (Object.hasOwn(PRESET_STATES, name) || ['current', 'amplitudes', 'picked'].includes(name)) {
+            throw new ValidationError(`preset "${name}" is already defined`, 'name');
+        }
+        if (typeof label !== 'string' || !label.trim()) {
+            throw new ValidationError('expected a non-empty string', 'label');
+        }
+        const qubit = state instanceof QubitState ? state : QubitState.fromJSON(state, 'state');
+        if (!qubit.isPure(1e-6)) {
+            throw new ValidationError(`presets must be pure states, got |r| = ${qubit.radius().toFixed(4)}`, 'state');
+        }
+        const { theta, phi } = qubit.angles();
+        PRESET_STATES[name] = { theta, phi, label };
+        BlochSphereVisualizer.addPlugin('presets', { name, label });
+    }
+    
+    // kraus: a list of Kraus operators or a function of the strength (see NoiseChannels.define)
+    static registerChannel(name, kraus, { label = name } = {}) {
+        NoiseChannels.define(name, kraus, { label });
+        BlochSphereVisualizer.addPlugin('channels', { name, label });
+    }
+    
+    static addPlugin(kind, plugin) {
+        PLUGINS[kind].push(plugin);
+        VISUALIZERS.forEach(visualizer => visualizer.addPluginButton(kind, plugin));
+    }
+    
+    constructor(root = document, { host = null, primary = true, initialState = null, renderer = 'auto' } = {}) {
+        this.root = root;
+        this.host = host;
+        this.primary = primary;
+        this.rendererPreference = renderer;
+        this.backend = null; // 'webgl' or 'canvas', set by createRenderer
+        this.webglError = null; // why WebGL failed to start, shown in the backend badge
+        this.readOnly = false;
+        this.disposed = false;
+        this.frameId = null;
+        this.measureTimer = null;
+        this.announceTimer = null;
+        this.nudgeTimer = null;
+        this.shortcutReturnFocus = null;
+        this.listeners = []; // [target, type, handler] outside root, removed by dispose()
+        
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -48,18 +187,144 @@ class BlochSphereVisualizer {
         // Quantum state parameters
         this.theta = 0; // Polar angle (0 to π)
         this.phi = 0;   // Azimuthal angle (0 to 2π)
+        this.radius = 1; // Bloch vector length: 1 for pure states, < 1 for mixed
         
         // Animation properties
         this.isAnimating = false;
-        this.animationQueue = [];
+        this.animationQueue = []; // callbacks waiting for the running animation to finish
+        this.animateGates = true;
+        this.rotationAxisLine = null;
+        
+        // Fading trail behind the arrow tip
+        this.trail = null;
+        this.trailPoints = [];
+        this.showTrail = false;
+        this.trailLifetime = 4000; // ms
+        this.trailMaxPoints = 600;
+        
+        // Geometric overlays, one Group per Settings checkbox. angles and projections
+        // follow the state and are redrawn by updateOverlays while visible.
+        this.overlays = { grid: null, angles: null, projections: null, equator: null, greatCircle: null };
+        this.greatCircleNormal = new THREE.Vector3(0, 1, 0); // Bloch coordinates
+        
+        // 2D view: recent states as { theta, phi, v }, v the Bloch vector
+        this.mapTrail = [];
+        this.mapTrailMaxPoints = 600;
+        
+        // Gate sequencer: sequencePosition gates of `sequence` have been played from sequenceStart
+        this.sequence = [];
+        this.sequencePosition = 0;
+        this.sequenceStart = { theta: 0, phi: 0, radius: 1 };
+        this.sequencePlaying = false;
+        this.sequenceSpeed = 1;
+        this.sequenceTimer = null;
+        
+        // Undo/redo: labelled states, entries[index] is the one on screen
+        this.history = { entries: [{ label: 'Start', state: { theta: 0, phi: 0, radius: 1 } }], index: 0 };
+        this.historyLimit = 200;
+        
+        // Gates applied with the gate buttons since the last reset, preset or slider
+        // change, exported as QASM. start is the state the log was started from.
+        this.gateLog = { start: { theta: 0, phi: 0, radius: 1 }, steps: [] };
+        
+        // Measurement basis: axis direction of the "+" outcome
+        this.measurementBasis = { name: 'z', theta: 0, phi: 0 };
+        this.measurementAxisLine = null;
+        this.pickingBasis = false;
+        
+        // Dragging the arrow tip around the sphere
+        this.dragging = null; // pointerId of the drag in progress
+        this.dragEnabled = true;
+        this.snapDrag = false;
+        
+        // Solve panel: target picked on the sphere (Bloch vector) and its marker
+        this.synthesis = { picked: null, picking: false, marker: null };
+        
+        // Compare panel: pinned states { name, state, color, arrow, label } and the pair
+        // joined by a geodesic arc, as two pins where null stands for the live state
+        this.comparison = { pinned: [], pair: null, arc: null, count: 0 };
+        
+        // Exercise mode: the loaded problem set (null when off), the problem on screen,
+        // moves made on it, per-problem results and the ghost arrow showing the target
+        this.exercise = { set: null, index: 0, moves: 0, results: [], ghost: null };
+        
+        // Bloch vector over time for CSV/JSON export: { time, theta, phi, x, y, z, p0, p1 }
+        // with time in seconds since trajectoryStart. Only changes are recorded.
+        this.trajectory = [];
+        this.trajectoryStart = performance.now();
+        this.trajectoryMaxPoints = 20000;
+        
+        // Recording in progress (see startRecording). GIF frames are captured at
+        // most gifMaxWidth wide every gifFrameInterval ms, up to gifMaxFrames.
+        this.recording = null;
+        this.gifMaxWidth = 480;
+        this.gifFrameInterval = 100;
+        this.gifMaxFrames = 300;
+        
+        // Tomography: latest { linear, mle } Bloch vector estimates and their arrow
+        this.tomographyEstimates = null;
+        this.reconstructedVector = null;
+        
+        // Hamiltonian time evolution, advanced from the render loop
+        this.evolution = {
+            running: false,
+            time: 0,             // simulated seconds since the run started
+            lastTick: 0,
+            speed: 1,
+            rotatingFrame: false,
+            params: { omega0: 0, rabi: 0, omegaDrive: 0, phase: 0, t1: 0, t2: 0 },
+            start: null,         // state at t = 0, restored on reset
+            history: []          // { t, p1 } samples for the P(|1⟩) plot
+        };
+        
+        // Two-qubit mode: `state` is the joint TwoQubitState. The main sphere shows
+        // qubit A's reduced state and sphereB (built on first use) shows qubit B's.
+        this.twoQubit = {
+            enabled: false,
+            state: null,
+            target: 0,   // qubit that single-qubit gates act on
+            control: 0,  // control qubit of CNOT
+            sphereB: null,
+            arrowB: null,
+            nameLabels: [],
+            offset: new THREE.Vector3(2.2, 0, -2.2) // to the right of A from the default camera
+        };
+        
+        if (initialState) {
+            ({ theta: this.theta, phi: this.phi, radius: this.radius } = initialState.angles());
+            this.history.entries[0].state = initialState.angles();
+        }
         
         this.init();
         this.setupEventListeners();
+        Object.entries(PLUGINS).forEach(([kind, plugins]) => plugins.forEach(plugin => this.addPluginButton(kind, plugin)));
+        VISUALIZERS.add(this);
+        this.updateSliders();
         this.updateQuantumState();
+        this.readMeasurementBasis();
+        this.renderSequence();
+        this.renderHistory();
+        this.readEvolutionParams();
+        this.drawEvolutionPlot();
+        // The starting state is part of the page, not news: label it, don't announce it
+        clearTimeout(this.announceTimer);
+        this.labelSphere();
+        if (this.primary) this.loadFromHash();
+    }
+    
+    // addEventListener for targets outside root, undone by dispose()
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push([target, type, handler]);
+    }
+    
+    // Fire a CustomEvent on the host element, if there is one
+    emit(type, detail) {
+        if (this.host) this.host.dispatchEvent(new CustomEvent(type, { detail }));
     }
     
     init() {
-        const container = document.getElementById('three-container');
+        const container = this.root.getElementById('three-container');
         
         // Scene setup
         this.scene = new THREE.Scene();
@@ -75,13 +340,15 @@ class BlochSphereVisualizer {
         this.camera.position.set(3, 3, 3);
         
         // Renderer setup
-        this.renderer = new THREE.WebGLRenderer({ 
-            antialias: true,
-            alpha: true 
-        });
+        this.renderer = this.createRenderer();
         this.renderer.setSize(container.offsetWidth, container.offsetHeight);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        this.showBackend();
+        // Focusable, so a click on the sphere gives this instance the keyboard;
+        // labelSphere keeps its label in step with the state
+        this.renderer.domElement.tabIndex = 0;
+        this.renderer.domElement.setAttribute('role', 'img');
+        this.renderer.domElement.setAttribute('aria-label', 'Bloch sphere');
+        this.renderer.domElement.setAttribute('aria-describedby', 'sphere-description');
         container.appendChild(this.renderer.domElement);
         
         // Controls setup
@@ -96,15 +363,72 @@ class BlochSphereVisualizer {
         this.setupLighting();
         
         // Create Bloch sphere components
-        this.createSphere();
+        this.sphere = this.createSphere();
         this.createAxes();
         this.createStateVector();
+        this.createTrail();
+        this.createOverlays();
         
         // Start render loop
         this.animate();
         
-        // Handle window resize
-        window.addEventListener('resize', () => this.onWindowResize());
+        // Follow the container's size, which changes with the window or the host page layout
+        this.resizeObserver = new ResizeObserver(() => this.onWindowResize());
+        this.resizeObserver.observe(container);
+    }
+    
+    // WebGL when the browser has it, otherwise the Canvas 2D fallback
+    createRenderer() {
+        if (this.rendererPreference !== 'canvas' && BlochSphereVisualizer.hasWebGL()) {
+            try {
+                const renderer = new THREE.WebGLRenderer({ 
+                    antialias: true,
+                    alpha: true 
+                });
+                renderer.shadowMap.enabled = true;
+                renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+                this.backend = 'webgl';
+                return renderer;
+            } catch (err) {
+                // Some drivers hand out a context and then fail to set it up; the badge says why
+                this.webglError = err;
+            }
+        }
+        this.backend = 'canvas';
+        return new CanvasSceneRenderer();
+    }
+    
+    // Probed once per page, so many instances don't each burn a WebGL context
+    static hasWebGL() {
+        if (BlochSphereVisualizer.webglSupport === undefined) {
+            let gl = null;
+            try {
+                const canvas = document.createElement('canvas');
+                gl = window.WebGLRenderingContext && (canvas.getContext('webgl2') || canvas.getContext('webgl'));
+            } catch (err) {
+                gl = null;
+            }
+            BlochSphereVisualizer.webglSupport = !!gl;
+            const lose = gl && gl.getExtension('WEBGL_lose_context');
+            if (lose) lose.loseContext();
+        }
+        return BlochSphereVisualizer.webglSupport;
+    }
+    
+    showBackend() {
+        const badge = this.root.getElementById('render-backend');
+        if (this.backend === 'webgl') {
+            badge.textContent = 'WebGL';
+            badge.title = 'Rendering with WebGL';
+        } else {
+            const forced = this.rendererPreference === 'canvas';
+            badge.textContent = forced ? 'Canvas 2D' : 'Canvas 2D (no WebGL)';
+            badge.title = forced
+                ? 'Rendering with the Canvas 2D fallback, as requested'
+                : this.webglError
+                    ? `WebGL failed to start (${this.webglError.message}); rendering with the Canvas 2D fallback`
+                    : 'WebGL is unavailable here; rendering with the Canvas 2D fallback';
+        }
     }
     
     setupLighting() {
@@ -126,7 +450,8 @@ class BlochSphereVisualizer {
         this.scene.add(pointLight);
     }
     
-    createSphere() {
+    // Wireframe and translucent surface added to `parent`; returns the wireframe
+    createSphere(parent = this.scene) {
         // Sphere wireframe
         const sphereGeometry = new THREE.SphereGeometry(1, 32, 16);
         const sphereMaterial = new THREE.MeshBasicMaterial({
@@ -135,8 +460,8 @@ class BlochSphereVisualizer {
             transparent: true,
             opacity: 0.3
         });
-        this.sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
-        this.scene.add(this.sphere);
+        const sphere = new THREE.Mesh(sphereGeometry, sphereMaterial);
+        parent.add(sphere);
         
         // Sphere surface (semi-transparent)
         const surfaceMaterial = new THREE.MeshPhongMaterial({
@@ -146,10 +471,11 @@ class BlochSphereVisualizer {
             side: THREE.DoubleSide
         });
         const surfaceSphere = new THREE.Mesh(sphereGeometry, surfaceMaterial);
-        this.scene.add(surfaceSphere);
+        parent.add(surfaceSphere);
+        return sphere;
     }
     
-    createAxes() {
+    createAxes(parent = this.scene) {
         const axisLength = 1.3;
         
     // Scene X axis (right) - color will represent Bloch Y (blue)
@@ -157,29 +483,29 @@ class BlochSphereVisualizer {
         const xMaterial = new THREE.MeshPhongMaterial({ color: 0x2563eb }); // scene X colored blue (Bloch Y)
         const xAxis = new THREE.Mesh(xGeometry, xMaterial);
         xAxis.rotation.z = Math.PI / 2;
-        this.scene.add(xAxis);
+        parent.add(xAxis);
         this.axes.push(xAxis);
         
     // Scene Y axis (up) - color represents Bloch Z (green)
     const yAxis = new THREE.Mesh(xGeometry, new THREE.MeshPhongMaterial({ color: 0x10b981 }));
     // cylinder default aligns with Y, so no rotation needed for vertical axis
-    this.scene.add(yAxis);
+    parent.add(yAxis);
     this.axes.push(yAxis);
 
     // Scene Z axis (out of page) - color represents Bloch X (red)
     const zAxis = new THREE.Mesh(xGeometry, new THREE.MeshPhongMaterial({ color: 0xef4444 }));
     zAxis.rotation.x = Math.PI / 2;
-    this.scene.add(zAxis);
+    parent.add(zAxis);
     this.axes.push(zAxis);
         
         // Axis arrows
-        this.createAxisArrows();
+        this.createAxisArrows(parent);
         
         // Axis labels
-        this.createAxisLabels();
+        this.createAxisLabels(parent);
     }
     
-    createAxisArrows() {
+    createAxisArrows(parent = this.scene) {
         const arrowGeometry = new THREE.ConeGeometry(0.05, 0.15, 8);
         // Arrow positions: match scene axes where Y is up (we treat Bloch Z as scene Y)
         const positions = [
@@ -198,11 +524,11 @@ class BlochSphereVisualizer {
             const arrow = new THREE.Mesh(arrowGeometry, new THREE.MeshPhongMaterial({ color }));
             arrow.position.set(...pos);
             arrow.rotation.set(...rot);
-            this.scene.add(arrow);
+            parent.add(arrow);
         });
     }
     
-    createAxisLabels() {
+    createAxisLabels(parent = this.scene) {
         // Create simple sprite labels for +X, +Y, +Z
         // Use colored sprites so they always face the camera
         this.labels = this.labels || [];
@@ -223,108 +549,477 @@ class BlochSphereVisualizer {
             const sprite = this.createTextSprite(cfg.text, cfg.color, 128);
             sprite.position.set(...cfg.pos);
             sprite.scale.set(0.25, 0.25, 0.25);
-            this.scene.add(sprite);
+            parent.add(sprite);
             this.labels.push(sprite);
         });
     }
 
-    createTextSprite(text, color = '#ffffff', size = 64) {
+    // `size` is the canvas height; pass a larger width for labels longer than a letter
+    createTextSprite(text, color = '#ffffff', size = 64, width = size) {
         const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = size;
+
+        const texture = new THREE.CanvasTexture(canvas);
+        const material = new THREE.SpriteMaterial({ map: texture, depthTest: false });
+        const sprite = new THREE.Sprite(material);
+        sprite.userData.color = color;
+        this.setSpriteText(sprite, text);
+        return sprite;
+    }
+    
+    // Redraw a sprite made by createTextSprite
+    setSpriteText(sprite, text) {
+        if (sprite.userData.text === text) return;
+        sprite.userData.text = text;
+        
+        const canvas = sprite.material.map.image;
         const ctx = canvas.getContext('2d');
-        const d = size;
-        canvas.width = d;
-        canvas.height = d;
+        const d = canvas.height;
 
         // Background transparent
-        ctx.clearRect(0, 0, d, d);
+        ctx.clearRect(0, 0, canvas.width, d);
 
         // Text style
         ctx.font = `${d * 0.6}px sans-serif`;
-        ctx.fillStyle = color;
+        ctx.fillStyle = sprite.userData.color;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(text, d / 2, d / 2 + d * 0.05);
-
-        const texture = new THREE.CanvasTexture(canvas);
-        texture.needsUpdate = true;
+        ctx.fillText(text, canvas.width / 2, d / 2 + d * 0.05);
 
-        const material = new THREE.SpriteMaterial({ map: texture, depthTest: false });
-        return new THREE.Sprite(material);
+        sprite.material.map.needsUpdate = true;
     }
     
     createStateVector() {
         // State vector arrow
-        const arrowGeometry = new THREE.CylinderGeometry(0.02, 0.02, 1, 8);
         const arrowMaterial = new THREE.MeshPhongMaterial({ 
             color: 0x06b6d4,
             emissive: 0x023d4d,
             emissiveIntensity: 0.2
         });
-        this.stateVector = new THREE.Mesh(arrowGeometry, arrowMaterial);
+        this.stateVector = this.createArrow(arrowMaterial);
+        this.scene.add(this.stateVector);
+    }
+    
+    // Arrow built along +Y from the origin so the shaft can be stretched to
+    // the Bloch vector length without squashing the head; see setArrowVector
+    createArrow(material) {
+        const arrow = new THREE.Group();
+        
+        const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 1, 8), material);
+        arrow.add(shaft);
         
         // Arrow head
-        const headGeometry = new THREE.ConeGeometry(0.06, 0.2, 8);
-        const arrowHead = new THREE.Mesh(headGeometry, arrowMaterial);
-        arrowHead.position.set(0, 0.6, 0);
-        this.stateVector.add(arrowHead);
+        const head = new THREE.Mesh(new THREE.ConeGeometry(0.06, 0.2, 8), material);
+        arrow.add(head);
         
-        this.scene.add(this.stateVector);
+        arrow.userData = { shaft, head };
+        return arrow;
+    }
+    
+    // Point `arrow` along Bloch vector v (length ≤ 1)
+    setArrowVector(arrow, v) {
+        const r = v.length();
+        const { shaft, head } = arrow.userData;
+        
+        if (r > 1e-10) {
+            // Rotate +Y onto v in the arrow's own frame, so arrows on the second sphere work too
+            arrow.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.blochToScene(v).normalize());
+        }
+        
+        const headScale = Math.min(1, r / 0.3);
+        shaft.scale.y = Math.max(r, 1e-3);
+        shaft.position.y = r / 2;
+        head.scale.setScalar(Math.max(headScale, 1e-3));
+        head.position.y = r + 0.1 * headScale;
     }
     
     setupEventListeners() {
         // Angle sliders
-        const thetaSlider = document.getElementById('theta-slider');
-        const phiSlider = document.getElementById('phi-slider');
-        const thetaValue = document.getElementById('theta-value');
-        const phiValue = document.getElementById('phi-value');
+        const thetaSlider = this.root.getElementById('theta-slider');
+        const phiSlider = this.root.getElementById('phi-slider');
+        const thetaValue = this.root.getElementById('theta-value');
+        const phiValue = this.root.getElementById('phi-value');
         
         thetaSlider.addEventListener('input', (e) => {
             this.theta = (parseFloat(e.target.value) * Math.PI) / 180;
             thetaValue.textContent = e.target.value + '°';
             this.updateQuantumState();
+            this.startGateLog(this.theta, this.phi, this.radius);
         });
         
         phiSlider.addEventListener('input', (e) => {
             this.phi = (parseFloat(e.target.value) * Math.PI) / 180;
             phiValue.textContent = e.target.value + '°';
             this.updateQuantumState();
+            this.startGateLog(this.theta, this.phi, this.radius);
+        });
+        
+        // A slider drag is one history entry, recorded when it's released
+        thetaSlider.addEventListener('change', (e) => {
+            this.recordHistory(`θ → ${e.target.value}°`, this);
+        });
+        phiSlider.addEventListener('change', (e) => {
+            this.recordHistory(`φ → ${e.target.value}°`, this);
+        });
+        
+        // Typed amplitudes or Bloch vector
+        this.root.getElementById('set-state-btn').addEventListener('click', () => this.setStateFromInput());
+        this.root.querySelectorAll('.state-entry input[type="text"]').forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.setStateFromInput();
+            });
+        });
+        
+        this.root.getElementById('state-entry-mode').addEventListener('change', (e) => {
+            this.root.getElementById('amplitude-entry').hidden = e.target.value !== 'amplitudes';
+            this.root.getElementById('bloch-entry').hidden = e.target.value !== 'bloch';
+        });
+        
+        this.root.getElementById('amplitude-format').addEventListener('change', () => this.updateQuantumState());
+        
+        // Clicking the readout copies the current state into the entry fields
+        const stateCoords = this.root.getElementById('state-coords');
+        stateCoords.addEventListener('click', () => this.editCurrentState());
+        stateCoords.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.editCurrentState();
+            }
+        });
+        
+        // Keyboard shortcut list
+        this.root.getElementById('shortcuts-btn').addEventListener('click', () => this.toggleShortcutHelp(true));
+        this.root.getElementById('shortcut-help-close').addEventListener('click', () => this.toggleShortcutHelp(false));
+        
+        // Preset state and quantum gate buttons
+        this.root.querySelectorAll('.preset-btn').forEach(btn => this.bindPresetButton(btn));
+        this.root.querySelectorAll('.gate-btn').forEach(btn => this.bindGateButton(btn));
+        
+        // Gate sequencer
+        this.root.getElementById('seq-play').addEventListener('click', () => {
+            if (this.sequencePlaying) {
+                this.pauseSequence();
+            } else {
+                this.playSequence();
+            }
+        });
+        
+        this.root.getElementById('seq-forward').addEventListener('click', () => {
+            this.pauseSequence();
+            this.stepSequenceForward();
+        });
+        
+        this.root.getElementById('seq-back').addEventListener('click', () => {
+            this.pauseSequence();
+            this.stepSequenceBack();
+        });
+        
+        this.root.getElementById('seq-rewind').addEventListener('click', () => this.rewindSequence());
+        this.root.getElementById('seq-clear').addEventListener('click', () => this.clearSequence());
+        
+        this.root.getElementById('seq-speed').addEventListener('change', (e) => {
+            this.sequenceSpeed = parseFloat(e.target.value);
+        });
+        
+        // Reorder by dragging steps onto each other
+        const timeline = this.root.getElementById('sequence-timeline');
+        timeline.addEventListener('dragstart', (e) => {
+            const step = e.target.closest('.seq-step');
+            if (step) e.dataTransfer.setData('text/plain', step.dataset.index);
+        });
+        timeline.addEventListener('dragover', (e) => e.preventDefault());
+        timeline.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const step = e.target.closest('.seq-step');
+            const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+            const to = step ? parseInt(step.dataset.index, 10) : this.sequence.length - 1;
+            if (Number.isInteger(from)) this.moveSequenceStep(from, to);
+        });
+        
+        // History
+        this.root.getElementById('undo-btn').addEventListener('click', () => this.undo());
+        this.root.getElementById('redo-btn').addEventListener('click', () => this.redo());
+        this.root.getElementById('history-scrub').addEventListener('input', (e) => {
+            this.goToHistory(parseInt(e.target.value, 10), false);
+        });
+        
+        const onKeyDown = (e) => {
+            if (e.altKey || this.readOnly) return;
+            // composedPath sees through shadow roots; keys pressed inside
+            // another sphere belong to that one, even for a primary instance
+            const path = e.composedPath();
+            const target = path[0];
+            if (path.some(el => el.localName === 'bloch-sphere' && el !== this.host)) return;
+            if (!(e.ctrlKey || e.metaKey)) {
+                this.handleShortcut(e, target, !this.host || path.includes(this.host));
+                return;
+            }
+            
+            // The History panel is locked during an exercise, and so is its shortcut
+            if (this.exercise.set) return;
+            // Leave text fields their own undo
+            if (target.matches && target.matches('input[type="text"], input[type="number"], textarea')) return;
+            
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        };
+        // Primary instances take shortcuts anywhere on the page, others only while focused
+        if (this.primary) {
+            this.listen(document, 'keydown', onKeyDown);
+        } else {
+            this.root.addEventListener('keydown', onKeyDown);
+        }
+        
+        // Two-qubit mode
+        this.root.getElementById('two-qubit-mode').addEventListener('change', (e) => {
+            this.setTwoQubitMode(e.target.checked);
+        });
+        
+        this.root.getElementById('two-qubit-target').addEventListener('change', (e) => {
+            this.twoQubit.target = parseInt(e.target.value, 10);
+        });
+        
+        this.root.getElementById('two-qubit-control').addEventListener('change', (e) => {
+            this.twoQubit.control = parseInt(e.target.value, 10);
         });
         
-        // Preset state buttons
-        document.querySelectorAll('.preset-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const state = e.target.dataset.state;
-                this.setPresetState(state);
+        this.root.querySelectorAll('.two-qubit-gate-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                // CP(λ) shares the angle input with the single-qubit phase gate
+                const params = btn.dataset.gate === 'cp' ? this.readGateParams('p') : [];
+                this.applyEntanglingGate(btn.dataset.gate, params, this.twoQubit.control);
                 this.animateButton(btn);
             });
         });
         
-        // Quantum gate buttons
-        document.querySelectorAll('.gate-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const gate = e.target.dataset.gate;
-                this.applyQuantumGate(gate);
+        this.root.querySelectorAll('.two-qubit-preset-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.setTwoQubitPreset(btn.dataset.state);
                 this.animateButton(btn);
             });
         });
         
+        this.root.getElementById('two-qubit-measure').addEventListener('click', () => this.measureTwoQubits());
+        
+        // 2D view
+        this.root.getElementById('map-view').addEventListener('change', () => this.drawBlochMap());
+        this.root.getElementById('map-clear').addEventListener('click', () => {
+            this.mapTrail = [];
+            this.recordMapPoint();
+            this.drawBlochMap();
+        });
+        
+        // Gate synthesis
+        this.root.getElementById('synth-target').addEventListener('change', (e) => {
+            this.root.getElementById('synth-amplitudes').hidden = e.target.value !== 'amplitudes';
+        });
+        this.root.getElementById('synth-gate-set').addEventListener('change', (e) => {
+            this.root.getElementById('synth-precision-label').hidden = e.target.value !== 'cliffordT';
+        });
+        const synthPickBtn = this.root.getElementById('synth-pick');
+        synthPickBtn.addEventListener('click', () => {
+            this.synthesis.picking = !this.synthesis.picking;
+            synthPickBtn.classList.toggle('picking', this.synthesis.picking);
+        });
+        this.root.getElementById('synth-solve').addEventListener('click', () => this.solveSynthesis());
+        
+        // OpenQASM
+        this.root.getElementById('qasm-load').addEventListener('click', () => {
+            this.loadQasm(this.root.getElementById('qasm-text').value);
+        });
+        this.root.getElementById('qasm-export').addEventListener('click', () => this.exportQasm());
+        
+        // Time evolution
+        this.root.querySelectorAll('.evo-param').forEach(input => {
+            input.addEventListener('input', () => this.readEvolutionParams());
+        });
+        
+        this.root.getElementById('evo-play').addEventListener('click', () => {
+            if (this.evolution.running) {
+                this.pauseEvolution();
+            } else {
+                this.playEvolution();
+            }
+        });
+        
+        this.root.getElementById('evo-reset').addEventListener('click', () => this.resetEvolution());
+        
+        this.root.getElementById('evo-rotating-frame').addEventListener('change', (e) => {
+            this.setEvolutionFrame(e.target.checked);
+        });
+        
+        this.root.getElementById('evo-speed').addEventListener('change', (e) => {
+            this.evolution.speed = parseFloat(e.target.value);
+        });
+        
         // Settings checkboxes
-        document.getElementById('show-axes').addEventListener('change', (e) => {
+        this.root.getElementById('show-axes').addEventListener('change', (e) => {
             this.toggleAxesVisibility(e.target.checked);
         });
         
-        document.getElementById('show-sphere').addEventListener('change', (e) => {
+        this.root.getElementById('show-sphere').addEventListener('change', (e) => {
             this.toggleSphereVisibility(e.target.checked);
         });
         
+        const animateGates = this.root.getElementById('animate-gates');
+        this.animateGates = animateGates.checked;
+        animateGates.addEventListener('change', (e) => {
+            this.animateGates = e.target.checked;
+        });
+        
+        this.root.getElementById('show-trail').addEventListener('change', (e) => {
+            this.toggleTrail(e.target.checked);
+        });
+        
+        // Geometric overlays
+        [['show-grid', 'grid'], ['show-angles', 'angles'], ['show-projections', 'projections'],
+            ['show-equator', 'equator'], ['show-great-circle', 'greatCircle']].forEach(([id, name]) => {
+            const checkbox = this.root.getElementById(id);
+            this.overlays[name].visible = checkbox.checked;
+            checkbox.addEventListener('change', (e) => {
+                this.overlays[name].visible = e.target.checked;
+                this.updateOverlays();
+            });
+        });
+        
+        this.root.getElementById('show-great-circle').addEventListener('change', (e) => {
+            this.root.getElementById('great-circle-normal').hidden = !e.target.checked;
+        });
+        ['great-circle-theta', 'great-circle-phi'].forEach(id => {
+            this.root.getElementById(id).addEventListener('input', () => this.readGreatCircleNormal());
+        });
+        
+        // Noise channels
+        const noiseStrength = this.root.getElementById('noise-strength');
+        noiseStrength.addEventListener('input', (e) => {
+            this.root.getElementById('noise-strength-value').textContent = parseFloat(e.target.value).toFixed(2);
+        });
+        
+        this.root.querySelectorAll('.noise-btn').forEach(btn => this.bindNoiseButton(btn));
+        
         // Action buttons
-        document.getElementById('measure-btn').addEventListener('click', () => {
+        this.root.getElementById('measure-btn').addEventListener('click', () => {
             this.performMeasurement();
         });
         
-        document.getElementById('reset-btn').addEventListener('click', () => {
+        // Measurement basis and multi-shot runs
+        ['measure-basis', 'basis-theta', 'basis-phi'].forEach(id => {
+            this.root.getElementById(id).addEventListener('input', () => this.readMeasurementBasis());
+        });
+        
+        const pickBtn = this.root.getElementById('basis-pick');
+        pickBtn.addEventListener('click', () => {
+            this.pickingBasis = !this.pickingBasis;
+            pickBtn.classList.toggle('picking', this.pickingBasis);
+        });
+        
+        this.renderer.domElement.addEventListener('click', (e) => {
+            if (this.pickingBasis && this.pickMeasurementAxis(e)) {
+                this.pickingBasis = false;
+                pickBtn.classList.remove('picking');
+            }
+            if (this.synthesis.picking && this.pickSynthesisTarget(e)) {
+                this.synthesis.picking = false;
+                synthPickBtn.classList.remove('picking');
+            }
+        });
+        
+        // Drag the state. Pointer events cover mouse, pen and touch; listening on the
+        // container in the capture phase lets us claim the gesture before OrbitControls
+        const container = this.root.getElementById('three-container');
+        container.addEventListener('pointerdown', (e) => this.startDrag(e), true);
+        container.addEventListener('pointermove', (e) => this.moveDrag(e), true);
+        container.addEventListener('pointerup', (e) => this.endDrag(e), true);
+        container.addEventListener('pointercancel', (e) => this.endDrag(e), true);
+        
+        this.root.getElementById('drag-state').addEventListener('change', (e) => {
+            this.dragEnabled = e.target.checked;
+        });
+        this.root.getElementById('snap-state').addEventListener('change', (e) => {
+            this.snapDrag = e.target.checked;
+        });
+        
+        this.root.getElementById('run-shots').addEventListener('click', () => this.runShots());
+        
+        // Tomography
+        this.root.getElementById('tomo-run').addEventListener('click', () => this.runTomography());
+        this.root.getElementById('tomo-reconstruct').addEventListener('click', () => this.reconstructFromCounts());
+        this.root.getElementById('tomo-sweep-btn').addEventListener('click', () => this.sweepTomography());
+        this.root.getElementById('tomo-clear').addEventListener('click', () => this.clearTomography());
+        this.root.getElementById('tomo-estimator').addEventListener('change', () => this.showReconstructedVector());
+        this.root.getElementById('tomo-hide-state').addEventListener('change', (e) => {
+            this.stateVector.visible = !e.target.checked;
+        });
+        
+        // Exercises
+        const exerciseInput = this.root.getElementById('exercise-input');
+        this.root.getElementById('exercise-sample').addEventListener('click', () => {
+            this.startExercises(Exercises.parseProblemSet(SAMPLE_EXERCISES));
+        });
+        this.root.getElementById('exercise-load').addEventListener('click', () => exerciseInput.click());
+        exerciseInput.addEventListener('change', (e) => {
+            if (e.target.files.length) this.loadExerciseFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.root.getElementById('exercise-leave').addEventListener('click', () => this.leaveExercises());
+        this.root.getElementById('exercise-check').addEventListener('click', () => this.checkExercise());
+        this.root.getElementById('exercise-hint').addEventListener('click', () => this.showExerciseHint());
+        this.root.getElementById('exercise-restart').addEventListener('click', () => this.showProblem(this.exercise.index));
+        this.root.getElementById('exercise-prev').addEventListener('click', () => this.showProblem(this.exercise.index - 1));
+        this.root.getElementById('exercise-next').addEventListener('click', () => this.showProblem(this.exercise.index + 1));
+        
+        // Compare
+        const pinSource = this.root.getElementById('pin-source');
+        pinSource.addEventListener('change', () => {
+            this.root.getElementById('pin-amplitudes').hidden = pinSource.value !== 'amplitudes';
+        });
+        this.root.getElementById('pin-add').addEventListener('click', () => this.pinState());
+        this.root.getElementById('pin-list').addEventListener('click', (e) => {
+            const button = e.target.closest('.pin-remove');
+            if (button) this.unpinState(parseInt(button.dataset.index, 10));
+        });
+        this.root.getElementById('compare-table').addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-pair]');
+            if (row) this.selectComparisonPair(row.dataset.pair.split(',').map(Number));
+        });
+        
+        // Export
+        this.root.getElementById('export-png').addEventListener('click', () => this.exportPng());
+        this.root.getElementById('export-svg').addEventListener('click', () => this.exportSvg());
+        this.root.getElementById('record-btn').addEventListener('click', () => {
+            if (this.recording) {
+                this.stopRecording();
+            } else {
+                this.startRecording();
+            }
+        });
+        this.root.getElementById('export-csv').addEventListener('click', () => this.exportTrajectory('csv'));
+        this.root.getElementById('export-trajectory-json').addEventListener('click', () => this.exportTrajectory('json'));
+        this.root.getElementById('trajectory-clear').addEventListener('click', () => this.clearTrajectory());
+        
+        this.root.getElementById('reset-btn').addEventListener('click', () => {
             this.resetState();
         });
+        
+        // Sharing
+        this.root.getElementById('share-link-btn').addEventListener('click', () => this.copyPermalink());
+        this.root.getElementById('export-json-btn').addEventListener('click', () => this.exportJson());
+        
+        const importInput = this.root.getElementById('import-json-input');
+        this.root.getElementById('import-json-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', (e) => {
+            if (e.target.files.length) this.importJson(e.target.files[0]);
+            e.target.value = '';
+        });
+        
+        if (this.primary) this.listen(window, 'hashchange', () => this.loadFromHash());
     }
     
     updateQuantumState() {
@@ -341,38 +1036,136 @@ class BlochSphereVisualizer {
     const sy = z; // scene Y <- Bloch Z (up)
     const sz = x; // scene Z <- Bloch X (out of page)
 
-    // Position and orient state vector in scene coordinates
-    this.stateVector.position.set(sx * 0.5, sy * 0.5, sz * 0.5);
-    this.stateVector.lookAt(new THREE.Vector3(sx, sy, sz));
-    this.stateVector.rotateX(Math.PI / 2);
+    // Orient state vector in scene coordinates and size it to the Bloch vector length
+    const r = this.radius;
+    this.setArrowVector(this.stateVector, new THREE.Vector3(x, y, z).multiplyScalar(r));
+    
+    if (this.showTrail) {
+        this.recordTrailPoint(new THREE.Vector3(sx * r, sy * r, sz * r));
+    }
+        
+        this.updateOverlays();
+        this.recordMapPoint();
+        this.drawBlochMap();
+        this.recordTrajectoryPoint();
+        if (this.comparison.pinned.length) this.renderComparison();
         
         // Update quantum state display
         this.updateStateDisplay();
         this.updateProbabilities();
+        this.announceState();
+        this.emit('statechange', { state: this.getState() });
+    }
+    
+    // Screen readers hear the state once it settles, not on every animation frame
+    announceState() {
+        clearTimeout(this.announceTimer);
+        this.announceTimer = setTimeout(() => {
+            this.root.getElementById('state-announcer').textContent = this.labelSphere();
+        }, 400);
+    }
+    
+    // Describe the current state on the sphere itself, which is role="img"
+    labelSphere() {
+        const state = this.getState();
+        const { x, y, z } = state.blochVector();
+        const text = this.describeState(state);
+        this.renderer.domElement.setAttribute('aria-label',
+            `Bloch sphere: ${text}; Bloch vector ${x.toFixed(2)}, ${y.toFixed(2)}, ${z.toFixed(2)}`);
+        return text;
+    }
+    
+    // State in words, e.g. "θ 90°, φ 45°, P(0) 50%, between ket plus and ket i"
+    describeState(state) {
+        const { theta, phi, radius } = state.angles();
+        const degrees = angle => Math.round(angle * 180 / Math.PI) % 360;
+        const parts = [`θ ${degrees(theta)}°`, `φ ${degrees(phi)}°`, `P(0) ${Math.round(state.probabilities().plus * 100)}%`];
+        if (!state.isPure()) parts.push(`mixed, length ${radius.toFixed(2)}`);
+        
+        if (radius < 0.05) {
+            parts.push('at the centre');
+        } else {
+            const direction = this.anglesToVector(theta, phi);
+            const [nearest, next] = Object.values(PRESET_STATES)
+                .map(preset => ({ label: this.spokenLabel(preset.label), angle: direction.angleTo(this.anglesToVector(preset.theta, preset.phi)) }))
+                .sort((a, b) => a.angle - b.angle);
+            if (nearest.angle < 2 * Math.PI / 180) {
+                parts.push(`at ${nearest.label}`);
+            } else if (nearest.angle < 20 * Math.PI / 180) {
+                parts.push(`near ${nearest.label}`);
+            } else {
+                parts.push(`between ${nearest.label} and ${next.label}`);
+            }
+        }
+        return parts.join(', ');
+    }
+    
+    // "|−i⟩" -> "ket minus i", so screen readers don't spell out the brackets
+    spokenLabel(label) {
+        return label
+            .replace(/\|([^|⟩]*)⟩/g, (match, name) => `ket ${name}`)
+            .replace(/[−-]/g, 'minus ')
+            .replace(/\+/g, 'plus ')
+            .replace(/\s+/g, ' ')
+            .trim();
     }
     
     updateStateDisplay() {
-    const alpha = new Complex(Math.cos(this.theta / 2), 0);
-    const beta = Complex.exp(new Complex(0, this.phi)).scale(Math.sin(this.theta / 2));
+        const stateCoords = this.root.getElementById('state-coords');
+        
+        const state = this.getState();
+        
+        if (!state.isPure()) {
+            // Mixed state: no ket exists, describe ρ = ½(I + r·σ) by its Bloch vector
+            const { x, y, z } = state.blochVector();
+            stateCoords.textContent = `ρ: r = (${x.toFixed(3)}, ${y.toFixed(3)}, ${z.toFixed(3)}), |r| = ${this.radius.toFixed(3)}`;
+            return;
+        }
+        
+    const [alpha, beta] = state.amplitudes();
 
     // Format complex numbers for display
-    const alphaStr = this.formatComplex(alpha.real, alpha.imag);
-    const betaStr = this.formatComplex(beta.real, beta.imag);
+    const alphaStr = this.formatAmplitude(alpha);
+    const betaStr = this.formatAmplitude(beta);
         
-        const stateCoords = document.getElementById('state-coords');
         stateCoords.textContent = `|ψ⟩ = ${alphaStr}|0⟩ + (${betaStr})|1⟩`;
 
     }
     
     updateProbabilities() {
-        const prob0 = Math.cos(this.theta / 2) ** 2;
-        const prob1 = Math.sin(this.theta / 2) ** 2;
+        const state = this.getState();
+        const { plus: prob0, minus: prob1 } = state.probabilities();
+        
+        this.root.getElementById('prob-0').textContent = `${(prob0 * 100).toFixed(1)}%`;
+        this.root.getElementById('prob-1').textContent = `${(prob1 * 100).toFixed(1)}%`;
+        
+        this.root.getElementById('bar-0').style.width = `${prob0 * 100}%`;
+        this.root.getElementById('bar-1').style.width = `${prob1 * 100}%`;
         
-        document.getElementById('prob-0').textContent = `${(prob0 * 100).toFixed(1)}%`;
-        document.getElementById('prob-1').textContent = `${(prob1 * 100).toFixed(1)}%`;
+        // ⟨σ⟩ = r·n, drawn from the middle of the bar towards ±1
+        const { x, y, z } = state.blochVector();
+        Object.entries({ x, y, z }).forEach(([axis, value]) => {
+            this.root.getElementById(`exp-${axis}`).textContent = value.toFixed(3);
+            const fill = this.root.getElementById(`exp-bar-${axis}`);
+            // Rounded: float noise like 6e-17 would print as CSS the browser rejects
+            fill.style.left = `${(50 + Math.min(value, 0) * 50).toFixed(2)}%`;
+            fill.style.width = `${(Math.abs(value) * 50).toFixed(2)}%`;
+        });
         
-        document.getElementById('bar-0').style.width = `${prob0 * 100}%`;
-        document.getElementById('bar-1').style.width = `${prob1 * 100}%`;
+        const rho = state.densityMatrix();
+        this.root.getElementById('purity').textContent = rho.purity().toFixed(3);
+        this.root.getElementById('entropy').textContent = rho.entropy().toFixed(3);
+    }
+    
+    // Rectangular a + bi or polar r·e^(iφ), following the readout format setting
+    formatAmplitude(c) {
+        if (this.root.getElementById('amplitude-format').value !== 'polar') {
+            return this.formatComplex(c.real, c.imag);
+        }
+        const r = c.abs();
+        const degrees = c.arg() * 180 / Math.PI;
+        if (r < 1e-10 || Math.abs(degrees) < 0.05) return r.toFixed(3);
+        return `${r.toFixed(3)}·e^(i·${degrees.toFixed(1)}°)`;
     }
     
     formatComplex(real, imag) {
@@ -389,164 +1182,2872 @@ class BlochSphereVisualizer {
         return `${realStr} - ${imagStr.substring(1)}`;
     }
     
-    setPresetState(state) {
-        const states = {
-            'ground': { theta: 0, phi: 0 },           // |0⟩
-            'excited': { theta: Math.PI, phi: 0 },    // |1⟩
-            'plus': { theta: Math.PI/2, phi: 0 },     // |+⟩ = (|0⟩ + |1⟩)/√2
-            'minus': { theta: Math.PI/2, phi: Math.PI }, // |−⟩ = (|0⟩ - |1⟩)/√2
-            'right': { theta: Math.PI/2, phi: Math.PI/2 }, // |i⟩ = (|0⟩ + i|1⟩)/√2
-            'left': { theta: Math.PI/2, phi: 3*Math.PI/2 } // |−i⟩ = (|0⟩ - i|1⟩)/√2
-        };
+    // Evaluate the expression typed into input `id`; errors are labelled with `label` and flag the field
+    readExpression(id, label, real = false) {
+        const input = this.root.getElementById(id);
+        try {
+            const value = real ? evaluateExpression(input.value) : evaluateComplex(input.value);
+            input.classList.remove('invalid');
+            return value;
+        } catch (err) {
+            input.classList.add('invalid');
+            throw new ValidationError(err.message, label);
+        }
+    }
+    
+    // Move to the typed amplitudes or Bloch vector
+    setStateFromInput() {
+        if (this.twoQubit.enabled) return;
+        const mode = this.root.getElementById('state-entry-mode').value;
+        const normalize = this.root.getElementById('normalize-input').checked;
+        const notes = [];
+        let target;
         
-        if (states[state]) {
-            this.animateToState(states[state].theta, states[state].phi);
+        try {
+            if (mode === 'bloch') {
+                // Read every field first so each bad one gets flagged
+                const errors = [];
+                const components = ['x', 'y', 'z'].map(axis => {
+                    try {
+                        return this.readExpression(`bloch-${axis}-input`, axis, true);
+                    } catch (err) {
+                        errors.push(err.message);
+                        return 0;
+                    }
+                });
+                if (errors.length) throw new ValidationError(errors.join('\n'));
+                
+                target = new THREE.Vector3(...components);
+                const r = target.length();
+                if (r > 1 + 1e-6) {
+                    if (!normalize) {
+                        throw new ValidationError(`|r| = ${r.toFixed(4)} lies outside the Bloch ball; tick Normalize to rescale`);
+                    }
+                    notes.push(`rescaled from |r| = ${r.toFixed(4)}`);
+                }
+                // Rounding slack past 1 is pulled in without a note
+                if (r > 1) target.divideScalar(r);
+            } else {
+                const errors = [];
+                const [alpha, beta] = [['alpha-input', 'α'], ['beta-input', 'β']].map(([id, label]) => {
+                    try {
+                        return this.readExpression(id, label);
+                    } catch (err) {
+                        errors.push(err.message);
+                        return null;
+                    }
+                });
+                if (errors.length) throw new ValidationError(errors.join('\n'));
+                
+                const { norm, globalPhase, state } = QubitState.decompose(alpha, beta);
+                if (Math.abs(norm - 1) > 1e-6) {
+                    if (!normalize) {
+                        throw new ValidationError(`|α|² + |β|² = ${(norm ** 2).toFixed(4)}, not 1; tick Normalize to rescale`);
+                    }
+                    notes.push(`normalized from ‖ψ‖ = ${norm.toFixed(4)}`);
+                }
+                if (Math.abs(globalPhase) > 1e-9) {
+                    notes.push(`global phase e^(i·${(globalPhase * 180 / Math.PI).toFixed(1)}°) removed`);
+                }
+                const { x, y, z } = state.blochVector();
+                target = new THREE.Vector3(x, y, z);
+            }
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            this.showStateEntryStatus(err.message, true);
+            return;
         }
+        
+        this.pauseSequence();
+        this.pauseEvolution();
+        const { x, y, z } = target;
+        this.setState({ x, y, z });
+        
+        this.showStateEntryStatus(`Moved to r = (${x.toFixed(3)}, ${y.toFixed(3)}, ${z.toFixed(3)})` +
+            (notes.length ? `; ${notes.join(', ')}` : ''));
     }
     
-    applyQuantumGate(gate) {
-        const gates = {
-            'x': () => this.applyPauliX(),
-            'y': () => this.applyPauliY(), 
-            'z': () => this.applyPauliZ(),
-            'h': () => this.applyHadamard()
-        };
+    // Copy the current state into the entry fields, as amplitudes if pure
+    editCurrentState() {
+        const state = this.getState();
+        const mode = this.root.getElementById('state-entry-mode');
+        mode.value = state.isPure() ? 'amplitudes' : 'bloch';
+        mode.dispatchEvent(new Event('change'));
         
-        if (gates[gate]) {
-            gates[gate]();
+        if (state.isPure()) {
+            const [alpha, beta] = state.amplitudes();
+            this.root.getElementById('alpha-input').value = this.formatComplex(alpha.real, alpha.imag).replace(/ /g, '');
+            this.root.getElementById('beta-input').value = this.formatComplex(beta.real, beta.imag).replace(/ /g, '');
+            this.root.getElementById('alpha-input').focus();
+        } else {
+            const { x, y, z } = state.blochVector();
+            this.root.getElementById('bloch-x-input').value = x.toFixed(4);
+            this.root.getElementById('bloch-y-input').value = y.toFixed(4);
+            this.root.getElementById('bloch-z-input').value = z.toFixed(4);
+            this.root.getElementById('bloch-x-input').focus();
         }
     }
     
-    applyPauliX() {
-        // Pauli-X gate: |0⟩ ↔ |1⟩ (rotation by π around X-axis)
-        const newTheta = Math.PI - this.theta;
-        const newPhi = (this.phi + Math.PI) % (2 * Math.PI);
-        this.animateToState(newTheta, newPhi);
+    showStateEntryStatus(message, isError = false) {
+        const status = this.root.getElementById('state-entry-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
     }
     
-    applyPauliY() {
-        // Fixed Pauli Y As before, what it did before was simply negate the phi angle
-        // Now, it actually rotates a half turn
-        const newTheta = Math.PI - this.theta;
-        let newPhi = (Math.PI - this.phi) % (2 * Math.PI);
-        if (newPhi < 0) newPhi += 2 * Math.PI;
-
-        this.animateToState(newTheta, newPhi);
+    setPresetState(state) {
+        const states = PRESET_STATES;
+        if (!states[state]) return;
+        if (this.isAnimating) {
+            // Start the log and history entry where queued gates leave off
+            this.animationQueue.push(() => this.setPresetState(state));
+            return;
+        }
+        
+        this.animateToState(states[state].theta, states[state].phi);
+        this.startGateLog(states[state].theta, states[state].phi);
+        this.recordHistory(states[state].label, states[state]);
     }
-
     
-    applyPauliZ() {
-        // Pauli-Z gate: rotation by π around Z-axis
-        const newPhi = (this.phi + Math.PI) % (2 * Math.PI);
-        this.animateToState(this.theta, newPhi);
+    applyQuantumGate(gate, params = []) {
+        if (this.isAnimating) {
+            // Apply once the running animation lands, so fast clicks aren't lost
+            this.animationQueue.push(() => this.applyQuantumGate(gate, params));
+            return;
+        }
+        
+        const target = this.gateResult(gate, params, this.theta, this.phi);
+        if (target) {
+            this.gateLog.steps.push({ gate, params });
+            this.recordHistory(QuantumGates.describe(gate, params), { ...target, radius: this.radius });
+            this.animateGate(gate, params, target);
+            this.emit('gateapplied', { gate, params, label: QuantumGates.describe(gate, params) });
+        }
+    }
+    
+    // State reached by applying `gate` to (theta, phi), or null for an invalid gate.
+    // Unitaries only rotate the Bloch vector, so this holds for mixed states
+    // too: their length is left alone.
+    gateResult(gate, params, theta, phi) {
+        const result = QubitState.fromAngles(theta, phi).applyGate(gate, params);
+        return result && result.angles();
+    }
+    
+    // direction = -1 plays the gate backwards (used when stepping back through a sequence)
+    animateGate(gate, params, target, { direction = 1, duration = 1000, onComplete = null } = {}) {
+        if (!this.animateGates) {
+            this.jumpToState(target.theta, target.phi);
+            if (onComplete) onComplete();
+            return;
+        }
+        const { axis, angle } = QuantumGates.rotation(gate, params);
+        this.animateRotation(new THREE.Vector3(...axis), angle * direction, target.theta, target.phi, {
+            showAxis: true,
+            duration,
+            onComplete
+        });
     }
     
-    applyHadamard() {
-        // Hadamard gate: complex transformation
-        if (Math.abs(this.theta) < 1e-10) {
-            // |0⟩ → |+⟩
-            this.animateToState(Math.PI/2, 0);
-        } else if (Math.abs(this.theta - Math.PI) < 1e-10) {
-            // |1⟩ → |−⟩
-            this.animateToState(Math.PI/2, Math.PI);
+    applyNoiseChannel(channel, strength) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.applyNoiseChannel(channel, strength));
+            return;
+        }
+        
+        const result = this.getState().applyChannel(channel, strength);
+        if (!result) return;
+        this.gateLog.steps.push({ comment: `${channel} noise (p = ${strength.toFixed(2)}) has no QASM equivalent` });
+        
+        const { x, y, z } = result.blochVector();
+        const target = new THREE.Vector3(x, y, z);
+        this.recordHistory(`${NoiseChannels.definitions[channel].label} ${strength.toFixed(2)}`, this.vectorToAngles(target));
+        
+        if (this.animateGates) {
+            this.animateToVector(target);
         } else {
-            // General case - simplified for visualization
-
-            const x  = Math.sin(this.theta) * Math.cos(this.phi);
-            const y  = Math.sin(this.theta) * Math.sin(this.phi);
-            const z  = Math.cos(this.theta);
-
-            const x2 = z;
-            const y2 = -y;
-            const z2 = x;
-
-            const newTheta = Math.acos(z2);
-            let newPhi = Math.atan2(y2, x2);
-            if (newPhi < 0) newPhi += 2 * Math.PI;
-            this.animateToState(newTheta, newPhi);
+            this.setBlochVector(target);
         }
     }
     
-    animateToState(targetTheta, targetPhi, duration = 1000) {
-        if (this.isAnimating) return;
+    setBlochVector(v) {
+        ({ theta: this.theta, phi: this.phi, radius: this.radius } = this.vectorToAngles(v));
+        this.updateQuantumState();
+        this.updateSliders();
+    }
+    
+    setTwoQubitMode(enabled) {
+        if (enabled === this.twoQubit.enabled) return;
+        this.pauseSequence();
+        this.pauseEvolution();
         
-        this.isAnimating = true;
-        const startTheta = this.theta;
-        const startPhi = this.phi;
-        const startTime = Date.now();
+        if (enabled && !this.twoQubit.sphereB) this.createSphereB();
         
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
+        // Keep both spheres in view: slide the camera along with the pair's midpoint
+        const shift = this.twoQubit.offset.clone().multiplyScalar(enabled ? 0.5 : -0.5);
+        this.camera.position.add(shift);
+        this.controls.target.add(shift);
+        this.controls.update();
+        
+        this.twoQubit.enabled = enabled;
+        this.twoQubit.sphereB.visible = enabled;
+        this.twoQubit.nameLabels.forEach(label => label.visible = enabled);
+        this.root.querySelector('.main-container').classList.toggle('two-qubit-mode', enabled);
+        this.root.getElementById('two-qubit-controls').hidden = !enabled;
+        
+        if (enabled) {
+            // A keeps its direction (a mixed A can't be part of a pure joint state); B starts in |0⟩
+            this.showTwoQubitState(TwoQubitState.product(QubitState.fromAngles(this.theta, this.phi), new QubitState()));
+        }
+        // Leaving keeps qubit A's reduced state on the main sphere
+        if (!enabled) this.startGateLog(this.theta, this.phi, this.radius);
+    }
+    
+    // Second wireframe, axes and arrow for qubit B, plus "A"/"B" name tags
+    createSphereB() {
+        const group = new THREE.Group();
+        group.position.copy(this.twoQubit.offset);
+        group.userData.wireframe = this.createSphere(group);
+        group.userData.wireframe.visible = this.root.getElementById('show-sphere').checked;
+        this.createAxes(group);
+        this.toggleAxesVisibility(this.root.getElementById('show-axes').checked);
+        
+        this.twoQubit.arrowB = this.createArrow(this.stateVector.userData.shaft.material);
+        group.add(this.twoQubit.arrowB);
+        
+        [['A', this.scene], ['B', group]].forEach(([text, parent]) => {
+            const label = this.createTextSprite(text, '#e2e8f0', 128);
+            label.position.set(0, 1.9, 0);
+            label.scale.set(0.35, 0.35, 0.35);
+            parent.add(label);
+            this.twoQubit.nameLabels.push(label);
+        });
+        
+        this.scene.add(group);
+        this.twoQubit.sphereB = group;
+    }
+    
+    twoQubitVector(state, qubit) {
+        const { x, y, z } = state.qubit(qubit).blochVector();
+        return new THREE.Vector3(x, y, z);
+    }
+    
+    // Jump to a joint state: A's reduced state on the main sphere, B's on the second
+    showTwoQubitState(state) {
+        this.twoQubit.state = state;
+        this.setArrowVector(this.twoQubit.arrowB, this.twoQubitVector(state, 1));
+        this.setBlochVector(this.twoQubitVector(state, 0));
+        this.updateTwoQubitDisplay();
+    }
+    
+    applyTwoQubitLocalGate(gate, params, qubit) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.applyTwoQubitLocalGate(gate, params, qubit));
+            return;
+        }
+        const next = this.twoQubit.state.applyGate(gate, params, qubit);
+        if (!next) return;
+        
+        // A local unitary rotates that qubit's reduced Bloch vector rigidly, whatever its length
+        const { axis, angle } = QuantumGates.rotation(gate, params);
+        const axisVector = new THREE.Vector3(...axis);
+        const start = this.twoQubitVector(this.twoQubit.state, qubit);
+        const path = (t) => start.clone().applyAxisAngle(axisVector, angle * t);
+        this.showRotationAxis(axisVector, qubit === 0 ? new THREE.Vector3() : this.twoQubit.offset);
+        this.animateTwoQubit(next, qubit === 0 ? [path, null] : [null, path]);
+    }
+    
+    applyEntanglingGate(gate, params, control) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.applyEntanglingGate(gate, params, control));
+            return;
+        }
+        const next = this.twoQubit.state.applyTwoQubitGate(gate, params, control);
+        // Entangling gates change the reduced vectors' lengths
+        if (next) this.moveTwoQubitTo(next);
+    }
+    
+    // Both reduced vectors in straight lines to those of `next`
+    moveTwoQubitTo(next) {
+        const paths = [0, 1].map(qubit => {
+            const start = this.twoQubitVector(this.twoQubit.state, qubit);
+            const end = this.twoQubitVector(next, qubit);
+            return (t) => start.clone().lerp(end, t);
+        });
+        this.animateTwoQubit(next, paths);
+    }
+    
+    // paths[q](t) is qubit q's Bloch vector along the way, or null if it doesn't move
+    animateTwoQubit(next, paths) {
+        if (!this.animateGates) {
+            this.hideRotationAxis();
+            this.showTwoQubitState(next);
+            return;
+        }
+        
+        const [pathA, pathB] = paths;
+        const startA = this.twoQubitVector(this.twoQubit.state, 0);
+        this.animatePath(pathA || (() => startA), this.vectorToAngles(this.twoQubitVector(next, 0)), {
+            onFrame: (t) => {
+                if (pathB) this.setArrowVector(this.twoQubit.arrowB, pathB(t));
+            },
+            onComplete: () => this.showTwoQubitState(next)
+        });
+    }
+    
+    setTwoQubitPreset(name) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.setTwoQubitPreset(name));
+            return;
+        }
+        
+        const h = new Complex(Math.SQRT1_2);
+        const presets = {
+            '00': [new Complex(1), new Complex(0), new Complex(0), new Complex(0)],
+            'phi-plus': [h, new Complex(0), new Complex(0), h],           // (|00⟩ + |11⟩)/√2
+            'phi-minus': [h, new Complex(0), new Complex(0), h.scale(-1)], // (|00⟩ − |11⟩)/√2
+            'psi-plus': [new Complex(0), h, h, new Complex(0)],           // (|01⟩ + |10⟩)/√2
+            'psi-minus': [new Complex(0), h, h.scale(-1), new Complex(0)]  // (|01⟩ − |10⟩)/√2
+        };
+        
+        let next;
+        if (name === 'product') {
+            // Disentangle, keeping the directions the two arrows point in now;
+            // a fully mixed qubit has none and goes to |0⟩
+            const [a, b] = [0, 1].map(qubit => {
+                const { theta, phi } = this.twoQubit.state.qubit(qubit).angles();
+                return QubitState.fromAngles(theta, phi);
+            });
+            next = TwoQubitState.product(a, b);
+        } else if (presets[name]) {
+            next = TwoQubitState.fromAmplitudes(presets[name]);
+        } else {
+            return;
+        }
+        this.moveTwoQubitTo(next);
+    }
+    
+    measureTwoQubits() {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.measureTwoQubits());
+            return;
+        }
+        const { outcome, probability, state } = this.twoQubit.state.measure();
+        this.moveTwoQubitTo(state);
+        this.root.getElementById('two-qubit-result').textContent =
+            `Result: |${outcome}⟩ (p = ${(probability * 100).toFixed(1)}%)`;
+    }
+    
+    updateTwoQubitDisplay() {
+        const state = this.twoQubit.state;
+        const probabilities = state.probabilities();
+        const list = this.root.getElementById('two-qubit-amplitudes');
+        list.innerHTML = '';
+        
+        state.amplitudes.forEach((c, i) => {
+            const label = ['00', '01', '10', '11'][i];
+            const row = document.createElement('div');
+            row.className = 'prob-bar';
+            
+            const text = document.createElement('span');
+            text.textContent = `|${label}⟩: ${this.formatAmplitude(c)}, P = ${(probabilities[i] * 100).toFixed(1)}%`;
+            row.appendChild(text);
+            
+            const bar = document.createElement('div');
+            bar.className = 'bar';
+            const fill = document.createElement('div');
+            fill.className = 'fill';
+            fill.style.width = `${probabilities[i] * 100}%`;
+            bar.appendChild(fill);
+            row.appendChild(bar);
+            
+            list.appendChild(row);
+        });
+        
+        this.root.getElementById('concurrence').textContent = state.concurrence().toFixed(3);
+        this.root.getElementById('entanglement-entropy').textContent = state.entanglementEntropy().toFixed(3);
+    }
+    
+    readEvolutionParams() {
+        // Frequencies are entered as f = ω/2π in Hz of simulated time, T1/T2 in seconds
+        const value = (id) => parseFloat(this.root.getElementById(id).value) || 0;
+        this.evolution.params = {
+            omega0: 2 * Math.PI * value('evo-qubit-freq'),
+            rabi: 2 * Math.PI * value('evo-drive-amp'),
+            omegaDrive: 2 * Math.PI * value('evo-drive-freq'),
+            phase: (value('evo-drive-phase') * Math.PI) / 180,
+            t1: Math.max(0, value('evo-t1')),
+            t2: Math.max(0, value('evo-t2'))
+        };
+        this.updateEvolutionReadout();
+    }
+    
+    playEvolution() {
+        if (this.evolution.time === 0) {
+            // Remember where we started so reset can come back here
+            this.evolution.start = { theta: this.theta, phi: this.phi, radius: this.radius };
+            this.evolution.history = [{ t: 0, p1: this.excitedProbability() }];
+            this.gateLog.steps.push({ comment: 'Hamiltonian time evolution has no QASM equivalent' });
+        }
+        this.evolution.running = true;
+        this.evolution.lastTick = Date.now();
+        this.updateEvolutionReadout();
+    }
+    
+    pauseEvolution() {
+        this.evolution.running = false;
+        this.updateEvolutionReadout();
+    }
+    
+    resetEvolution() {
+        this.pauseEvolution();
+        if (this.evolution.start) {
+            const { theta, phi, radius } = this.evolution.start;
+            this.evolution.start = null;
+            this.animateToState(theta, phi, 600, radius);
+        }
+        this.evolution.time = 0;
+        this.evolution.history = [];
+        this.updateEvolutionReadout();
+        this.drawEvolutionPlot();
+    }
+    
+    setEvolutionFrame(rotating) {
+        if (rotating === this.evolution.rotatingFrame) return;
+        
+        // Lab and rotating frames differ by a turn of ωt about Z; carry the state across
+        const { omegaDrive } = this.evolution.params;
+        const angle = (rotating ? -1 : 1) * omegaDrive * this.evolution.time;
+        this.evolution.rotatingFrame = rotating;
+        this.setBlochVector(this.getBlochVector().applyAxisAngle(new THREE.Vector3(0, 0, 1), angle));
+        this.updateEvolutionReadout();
+    }
+    
+    stepEvolution() {
+        const now = Date.now();
+        // Cap the step so a backgrounded tab doesn't jump ahead on return
+        const dt = Math.min((now - this.evolution.lastTick) / 1000, 0.1) * this.evolution.speed;
+        this.evolution.lastTick = now;
+        
+        // Let gate and preset animations finish before the clock moves on
+        if (this.isAnimating || dt <= 0) return;
+        
+        const { x, y, z } = this.getBlochVector();
+        const [nx, ny, nz] = TimeEvolution.evolve(
+            [x, y, z], this.evolution.time, dt, this.evolution.params, this.evolution.rotatingFrame
+        );
+        this.evolution.time += dt;
+        this.setBlochVector(new THREE.Vector3(nx, ny, nz));
+        
+        const history = this.evolution.history;
+        history.push({ t: this.evolution.time, p1: this.excitedProbability() });
+        if (history.length > 2000) {
+            // Thin out old samples so long runs stay cheap to draw
+            this.evolution.history = history.filter((_, i) => i % 2 === 0 || i === history.length - 1);
+        }
+        
+        this.updateEvolutionReadout();
+        this.drawEvolutionPlot();
+    }
+    
+    excitedProbability() {
+        return this.getState().probabilities().minus;
+    }
+    
+    updateEvolutionReadout() {
+        const { omega0, omegaDrive } = this.evolution.params;
+        const detuning = (omega0 - omegaDrive) / (2 * Math.PI);
+        this.root.getElementById('evo-readout').textContent =
+            `t = ${this.evolution.time.toFixed(2)} s, Δ/2π = ${detuning.toFixed(2)} Hz`;
+        
+        const playBtn = this.root.getElementById('evo-play');
+        playBtn.textContent = this.evolution.running ? '⏸ Pause' : '▶ Run';
+    }
+    
+    drawEvolutionPlot() {
+        const canvas = this.root.getElementById('evolution-plot');
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.clientWidth;
+        const height = canvas.height = canvas.clientHeight;
+        const pad = 24;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // Axes and the 0 / 0.5 / 1 guide lines
+        ctx.strokeStyle = '#475569';
+        ctx.fillStyle = '#94a3b8';
+        ctx.font = '10px sans-serif';
+        [0, 0.5, 1].forEach(p => {
+            const y = height - pad - p * (height - 2 * pad);
+            ctx.beginPath();
+            ctx.moveTo(pad, y);
+            ctx.lineTo(width - 4, y);
+            ctx.stroke();
+            ctx.fillText(p.toFixed(1), 2, y + 3);
+        });
+        
+        const history = this.evolution.history;
+        if (history.length < 2) return;
+        
+        const tMax = Math.max(history[history.length - 1].t, 1e-6);
+        ctx.fillText(`t = ${tMax.toFixed(1)} s`, width - 60, height - 6);
+        ctx.fillText('P(|1⟩)', pad + 4, 12);
+        
+        ctx.strokeStyle = '#06b6d4';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        history.forEach(({ t, p1 }, i) => {
+            const x = pad + (t / tMax) * (width - pad - 4);
+            const y = height - pad - p1 * (height - 2 * pad);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+    
+    recordMapPoint() {
+        const v = this.getBlochVector();
+        const last = this.mapTrail[this.mapTrail.length - 1];
+        if (last && last.v.distanceTo(v) < 1e-3) return;
+        
+        this.mapTrail.push({ theta: this.theta, phi: this.phi, v });
+        if (this.mapTrail.length > this.mapTrailMaxPoints) {
+            this.mapTrail.shift();
+        }
+    }
+    
+    // θ–φ map or XZ/XY projections of the state and its recent trajectory
+    drawBlochMap() {
+        const canvas = this.root.getElementById('bloch-map');
+        // Nothing to draw into while the panel is hidden
+        if (!canvas.clientWidth) return;
+        
+        const ctx = canvas.getContext('2d');
+        const width = canvas.width = canvas.clientWidth;
+        const height = canvas.height = canvas.clientHeight;
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+        
+        if (this.root.getElementById('map-view').value === 'angles') {
+            this.drawAngleMap(ctx, width, height);
+        } else {
+            const size = Math.min(width / 2, height);
+            this.drawProjection(ctx, (width / 2 - size) / 2, (height - size) / 2, size, 'x', 'z');
+            this.drawProjection(ctx, width / 2 + (width / 2 - size) / 2, (height - size) / 2, size, 'x', 'y');
+        }
+    }
+    
+    // Equirectangular: φ across, θ down, so |0⟩ is the top edge and |1⟩ the bottom
+    drawAngleMap(ctx, width, height) {
+        const [left, top, right, bottom] = [28, 8, 8, 16];
+        const toX = phi => left + (phi / (2 * Math.PI)) * (width - left - right);
+        const toY = theta => top + (theta / Math.PI) * (height - top - bottom);
+        
+        ctx.strokeStyle = '#475569';
+        ctx.fillStyle = '#94a3b8';
+        for (let degrees = 0; degrees <= 360; degrees += 45) {
+            const x = toX(degrees * Math.PI / 180);
+            ctx.beginPath();
+            ctx.moveTo(x, toY(0));
+            ctx.lineTo(x, toY(Math.PI));
+            ctx.stroke();
+            if (degrees % 90 === 0) ctx.fillText(`${degrees}°`, x - 8, height - 3);
+        }
+        for (let degrees = 0; degrees <= 180; degrees += 45) {
+            const y = toY(degrees * Math.PI / 180);
+            ctx.beginPath();
+            ctx.moveTo(toX(0), y);
+            ctx.lineTo(toX(2 * Math.PI), y);
+            ctx.stroke();
+            ctx.fillText(`${degrees}°`, 2, y + 3);
+        }
+        
+        // The four equatorial cardinal states; |0⟩ and |1⟩ are whole edges here
+        ctx.fillStyle = '#cbd5e1';
+        Object.values(PRESET_STATES).filter(({ theta }) => theta === Math.PI / 2).forEach(({ phi, label }) => {
+            ctx.fillText(label, toX(phi) + 3, toY(Math.PI / 2) - 3);
+        });
+        
+        // A jump across φ = 0/360° starts a new segment instead of a line across the map
+        ctx.strokeStyle = 'rgba(6, 182, 212, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        this.mapTrail.forEach(({ theta, phi }, i) => {
+            const previous = this.mapTrail[i - 1];
+            if (!previous || Math.abs(phi - previous.phi) > Math.PI) {
+                ctx.moveTo(toX(phi), toY(theta));
+            } else {
+                ctx.lineTo(toX(phi), toY(theta));
+            }
+        });
+        ctx.stroke();
+        
+        // The dot fades towards the centre of the ball, where θ and φ stop meaning much
+        ctx.fillStyle = `rgba(6, 182, 212, ${0.3 + 0.7 * this.radius})`;
+        ctx.beginPath();
+        ctx.arc(toX(this.phi), toY(this.theta), 5, 0, 2 * Math.PI);
+        ctx.fill();
+    }
+    
+    // Orthographic projection onto the plane of Bloch axes a (across) and b (up)
+    drawProjection(ctx, left, top, size, a, b) {
+        const colors = { x: '#ef4444', y: '#2563eb', z: '#10b981' };
+        const cx = left + size / 2;
+        const cy = top + size / 2;
+        const r = size / 2 - 14;
+        const toPoint = v => [cx + v[a] * r, cy - v[b] * r];
+        
+        ctx.strokeStyle = '#475569';
+        ctx.beginPath();
+        ctx.arc(cx, cy, r, 0, 2 * Math.PI);
+        ctx.moveTo(cx - r, cy);
+        ctx.lineTo(cx + r, cy);
+        ctx.moveTo(cx, cy - r);
+        ctx.lineTo(cx, cy + r);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#94a3b8';
+        ctx.fillText(`${a.toUpperCase()}${b.toUpperCase()}`, left + 2, top + 10);
+        ctx.fillStyle = colors[a];
+        ctx.fillText(a.toUpperCase(), cx + r + 3, cy + 3);
+        ctx.fillStyle = colors[b];
+        ctx.fillText(b.toUpperCase(), cx - 3, cy - r - 3);
+        
+        ctx.strokeStyle = 'rgba(6, 182, 212, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        this.mapTrail.forEach(({ v }, i) => {
+            const [x, y] = toPoint(v);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        
+        const [x, y] = toPoint(this.getBlochVector());
+        ctx.strokeStyle = '#06b6d4';
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.lineTo(x, y);
+        ctx.stroke();
+        ctx.fillStyle = '#06b6d4';
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.lineWidth = 1;
+    }
+    
+    // Core state for what's on screen right now, mid-animation included
+    getState() {
+        return QubitState.fromAngles(this.theta, this.phi, this.radius);
+    }
+    
+    readGateParams(gate) {
+        // Angle inputs are entered in degrees
+        const inputs = {
+            'rx': ['gate-angle'],
+            'ry': ['gate-angle'],
+            'rz': ['gate-angle'],
+            'p': ['gate-angle'],
+            'u3': ['u3-theta', 'u3-phi', 'u3-lambda']
+        };
+        
+        return (inputs[gate] || []).map(id => {
+            const degrees = parseFloat(this.root.getElementById(id).value);
+            return (degrees * Math.PI) / 180;
+        });
+    }
+    
+    animateToState(targetTheta, targetPhi, duration = 1000, targetRadius = 1) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.animateToState(targetTheta, targetPhi, duration, targetRadius));
+            return;
+        }
+        
+        // Travel along the great circle between the two directions, growing or
+        // shrinking the vector on the way when the purity changes
+        const start = this.anglesToVector(this.theta, this.phi);
+        const target = this.anglesToVector(targetTheta, targetPhi);
+        let axis = start.clone().cross(target);
+        
+        if (axis.lengthSq() < 1e-12) {
+            // Same or antipodal point: turn about any axis perpendicular to the start
+            const reference = Math.abs(start.y) < 0.9 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+            axis = reference.sub(start.clone().multiplyScalar(reference.dot(start)));
+        }
+        axis.normalize();
+        
+        const angle = start.angleTo(target);
+        const startRadius = this.radius;
+        this.animatePath(
+            (t) => start.clone().applyAxisAngle(axis, angle * t).multiplyScalar(startRadius + (targetRadius - startRadius) * t),
+            { theta: targetTheta, phi: targetPhi, radius: targetRadius },
+            { duration }
+        );
+    }
+    
+    animateRotation(axis, angle, targetTheta, targetPhi, { duration = 1000, showAxis = false, onComplete = null } = {}) {
+        if (this.isAnimating) return;
+        
+        const start = this.getBlochVector();
+        if (showAxis) this.showRotationAxis(axis);
+        this.animatePath(
+            (t) => start.clone().applyAxisAngle(axis, angle * t),
+            { theta: targetTheta, phi: targetPhi, radius: this.radius },
+            { duration, onComplete }
+        );
+    }
+    
+    // Straight line through the ball, i.e. the mixture (1 − t)ρ + tρ'
+    animateToVector(target, { duration = 1000, onComplete = null } = {}) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.animateToVector(target, { duration, onComplete }));
+            return;
+        }
+        
+        const start = this.getBlochVector();
+        this.animatePath(
+            (t) => start.clone().lerp(target, t),
+            this.vectorToAngles(target),
+            { duration, onComplete }
+        );
+    }
+    
+    // path(t) gives the Bloch vector at eased progress t ∈ [0, 1]
+    // onFrame(t) runs after each frame, e.g. to move the second qubit's arrow in step
+    animatePath(path, target, { duration = 1000, onComplete = null, onFrame = null } = {}) {
+        this.isAnimating = true;
+        const startTime = Date.now();
+        
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
             const progress = Math.min(elapsed / duration, 1);
             
-            // Smooth easing function
-            const eased = 1 - Math.pow(1 - progress, 3);
+            // Smooth easing function
+            const eased = 1 - Math.pow(1 - progress, 3);
+            
+            if (progress < 1) {
+                ({ theta: this.theta, phi: this.phi, radius: this.radius } = this.vectorToAngles(path(eased)));
+            } else {
+                // Land exactly on the target instead of on accumulated rounding
+                ({ theta: this.theta, phi: this.phi, radius: this.radius } = target);
+            }
+            
+            this.updateQuantumState();
+            this.updateSliders();
+            if (onFrame) onFrame(eased);
+            
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            } else {
+                this.isAnimating = false;
+                this.hideRotationAxis();
+                if (onComplete) onComplete();
+                this.runNextAnimation();
+            }
+        };
+        
+        requestAnimationFrame(animate);
+    }
+    
+    jumpToState(theta, phi) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.jumpToState(theta, phi));
+            return;
+        }
+        this.theta = theta;
+        this.phi = phi;
+        this.updateQuantumState();
+        this.updateSliders();
+    }
+    
+    runNextAnimation() {
+        // Queued callbacks that don't start an animation fall through to the next one
+        while (!this.isAnimating && this.animationQueue.length) {
+            this.animationQueue.shift()();
+        }
+    }
+    
+    addToSequence(gate, params = []) {
+        if (!QuantumGates.matrix(gate, params)) return;
+        this.sequence.push({ gate, params });
+        this.renderSequence();
+    }
+    
+    removeFromSequence(index) {
+        // Editing a step that has already played invalidates the states after it
+        if (index < this.sequencePosition) this.rewindSequence();
+        this.sequence.splice(index, 1);
+        this.renderSequence();
+    }
+    
+    moveSequenceStep(from, to) {
+        if (from === to) return;
+        if (Math.min(from, to) < this.sequencePosition) this.rewindSequence();
+        const [step] = this.sequence.splice(from, 1);
+        this.sequence.splice(to, 0, step);
+        this.renderSequence();
+    }
+    
+    clearSequence() {
+        this.rewindSequence();
+        this.sequence = [];
+        this.renderSequence();
+    }
+    
+    // States before the first step and after every step, starting from where the sequence began
+    sequenceStates() {
+        const start = this.sequencePosition === 0
+            ? { theta: this.theta, phi: this.phi }
+            : this.sequenceStart;
+        const states = [start];
+        this.sequence.forEach(({ gate, params }, i) => {
+            states.push(this.gateResult(gate, params, states[i].theta, states[i].phi));
+        });
+        return states;
+    }
+    
+    isAtSequenceStep() {
+        // Compare directions only; noise applied between steps doesn't derail the sequence
+        const expected = this.sequenceStates()[this.sequencePosition];
+        const current = this.anglesToVector(this.theta, this.phi);
+        return this.anglesToVector(expected.theta, expected.phi).distanceTo(current) < 1e-6;
+    }
+    
+    stepSequenceForward(onComplete = null) {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.stepSequenceForward(onComplete));
+            return;
+        }
+        if (this.sequencePosition >= this.sequence.length) return;
+        
+        // If the state was changed by hand mid-sequence, run the sequence from here
+        if (this.sequencePosition > 0 && !this.isAtSequenceStep()) {
+            this.sequencePosition = 0;
+        }
+        if (this.sequencePosition === 0) {
+            this.sequenceStart = { theta: this.theta, phi: this.phi, radius: this.radius };
+        }
+        
+        const { gate, params } = this.sequence[this.sequencePosition];
+        const target = this.sequenceStates()[this.sequencePosition + 1];
+        this.sequencePosition++;
+        this.renderSequence();
+        this.animateGate(gate, params, target, { duration: 1000 / this.sequenceSpeed, onComplete });
+    }
+    
+    stepSequenceBack() {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.stepSequenceBack());
+            return;
+        }
+        if (this.sequencePosition === 0) return;
+        
+        const { gate, params } = this.sequence[this.sequencePosition - 1];
+        const target = this.sequenceStates()[this.sequencePosition - 1];
+        this.sequencePosition--;
+        this.renderSequence();
+        this.animateGate(gate, params, target, { direction: -1, duration: 1000 / this.sequenceSpeed });
+    }
+    
+    rewindSequence() {
+        this.pauseSequence();
+        if (this.sequencePosition > 0) {
+            const { theta, phi, radius } = this.sequenceStart;
+            this.sequencePosition = 0;
+            this.animateToState(theta, phi, 1000 / this.sequenceSpeed, radius);
+            this.animationQueue.push(() => this.renderSequence());
+        }
+        this.renderSequence();
+    }
+    
+    playSequence() {
+        if (!this.sequence.length) return;
+        if (this.sequencePosition >= this.sequence.length) this.rewindSequence();
+        
+        this.sequencePlaying = true;
+        this.renderSequence();
+        this.advanceSequence();
+    }
+    
+    advanceSequence() {
+        if (!this.sequencePlaying) return;
+        if (this.sequencePosition >= this.sequence.length) {
+            this.pauseSequence();
+            return;
+        }
+        this.stepSequenceForward(() => {
+            // Short hold on each intermediate state before the next gate
+            this.sequenceTimer = setTimeout(() => this.advanceSequence(), 400 / this.sequenceSpeed);
+        });
+    }
+    
+    pauseSequence() {
+        this.sequencePlaying = false;
+        clearTimeout(this.sequenceTimer);
+        this.renderSequence();
+    }
+    
+    renderSequence() {
+        const timeline = this.root.getElementById('sequence-timeline');
+        const states = this.sequenceStates();
+        timeline.innerHTML = '';
+        
+        this.sequence.forEach(({ gate, params }, i) => {
+            const step = document.createElement('div');
+            step.className = 'seq-step';
+            if (i < this.sequencePosition) step.classList.add('applied');
+            if (i === this.sequencePosition - 1) step.classList.add('current');
+            step.draggable = true;
+            step.dataset.index = i;
+            step.title = `After ${QuantumGates.describe(gate, params)}: ${this.formatAngles(states[i + 1])}`;
+            
+            const label = document.createElement('span');
+            label.textContent = QuantumGates.describe(gate, params);
+            step.appendChild(label);
+            
+            const remove = document.createElement('button');
+            remove.className = 'seq-remove';
+            remove.textContent = '×';
+            remove.title = 'Remove from sequence';
+            remove.addEventListener('click', () => this.removeFromSequence(i));
+            step.appendChild(remove);
+            
+            timeline.appendChild(step);
+        });
+        
+        const status = this.root.getElementById('sequence-status');
+        if (!this.sequence.length) {
+            status.textContent = 'Sequence is empty';
+        } else if (this.sequencePosition === 0) {
+            status.textContent = `Ready: ${this.sequence.length} gate(s), start ${this.formatAngles(states[0])}`;
+        } else {
+            const { gate, params } = this.sequence[this.sequencePosition - 1];
+            status.textContent = `Step ${this.sequencePosition}/${this.sequence.length}, after ` +
+                `${QuantumGates.describe(gate, params)}: ${this.formatAngles(states[this.sequencePosition])}`;
+        }
+        
+        const playBtn = this.root.getElementById('seq-play');
+        playBtn.textContent = this.sequencePlaying ? '⏸' : '▶';
+        playBtn.title = this.sequencePlaying ? 'Pause' : 'Play';
+        playBtn.setAttribute('aria-label', playBtn.title);
+    }
+    
+    formatAngles({ theta, phi }) {
+        return `θ ${(theta * 180 / Math.PI).toFixed(0)}°, φ ${(phi * 180 / Math.PI).toFixed(0)}°`;
+    }
+    
+    getBlochVector() {
+        return this.anglesToVector(this.theta, this.phi).multiplyScalar(this.radius);
+    }
+    
+    anglesToVector(theta, phi) {
+        return new THREE.Vector3(
+            Math.sin(theta) * Math.cos(phi),
+            Math.sin(theta) * Math.sin(phi),
+            Math.cos(theta)
+        );
+    }
+    
+    vectorToAngles(v) {
+        const radius = v.length();
+        // The maximally mixed state has no direction; keep pointing where we were
+        if (radius < 1e-10) {
+            return { theta: this.theta, phi: this.phi, radius: 0 };
+        }
+        
+        const theta = Math.acos(Math.max(-1, Math.min(1, v.z / radius)));
+        let phi = Math.atan2(v.y, v.x);
+        if (phi < 0) phi += 2 * Math.PI;
+        return { theta, phi, radius: Math.min(radius, 1) };
+    }
+    
+    // Bloch (x, y, z) -> scene (y, z, x); see updateQuantumState
+    blochToScene(v) {
+        return new THREE.Vector3(v.y, v.z, v.x);
+    }
+    
+    showRotationAxis(axis, origin = new THREE.Vector3()) {
+        this.hideRotationAxis();
+        
+        const end = this.blochToScene(axis).multiplyScalar(1.35);
+        const geometry = new THREE.BufferGeometry().setFromPoints([end.clone().negate(), end]);
+        const material = new THREE.LineDashedMaterial({
+            color: 0xf59e0b,
+            dashSize: 0.08,
+            gapSize: 0.05
+        });
+        this.rotationAxisLine = new THREE.Line(geometry, material);
+        this.rotationAxisLine.computeLineDistances();
+        this.rotationAxisLine.position.copy(origin);
+        this.scene.add(this.rotationAxisLine);
+    }
+    
+    hideRotationAxis() {
+        if (!this.rotationAxisLine) return;
+        this.scene.remove(this.rotationAxisLine);
+        this.rotationAxisLine.geometry.dispose();
+        this.rotationAxisLine.material.dispose();
+        this.rotationAxisLine = null;
+    }
+    
+    createTrail() {
+        // Fixed-size buffer; only the first trailPoints.length vertices are drawn
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.trailMaxPoints * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(this.trailMaxPoints * 3), 3));
+        geometry.setDrawRange(0, 0);
+        
+        this.trail = new THREE.Line(geometry, new THREE.LineBasicMaterial({ vertexColors: true }));
+        this.trail.frustumCulled = false;
+        this.scene.add(this.trail);
+    }
+    
+    recordTrailPoint(tip) {
+        const last = this.trailPoints[this.trailPoints.length - 1];
+        if (last && last.position.distanceTo(tip) < 1e-3) return;
+        
+        this.trailPoints.push({ position: tip.clone(), time: Date.now() });
+        if (this.trailPoints.length > this.trailMaxPoints) {
+            this.trailPoints.shift();
+        }
+    }
+    
+    updateTrail() {
+        const now = Date.now();
+        this.trailPoints = this.trailPoints.filter(p => now - p.time < this.trailLifetime);
+        
+        const positions = this.trail.geometry.attributes.position;
+        const colors = this.trail.geometry.attributes.color;
+        const background = new THREE.Color(0x1e293b);
+        const trailColor = new THREE.Color(0x06b6d4);
+        
+        // Fade each point into the background as it ages
+        this.trailPoints.forEach((p, i) => {
+            const color = background.clone().lerp(trailColor, 1 - (now - p.time) / this.trailLifetime);
+            positions.setXYZ(i, p.position.x, p.position.y, p.position.z);
+            colors.setXYZ(i, color.r, color.g, color.b);
+        });
+        
+        positions.needsUpdate = true;
+        colors.needsUpdate = true;
+        this.trail.geometry.setDrawRange(0, this.trailPoints.length);
+    }
+    
+    toggleTrail(visible) {
+        this.showTrail = visible;
+        this.trailPoints = [];
+        this.updateTrail();
+    }
+    
+    createOverlays() {
+        Object.keys(this.overlays).forEach(name => {
+            const group = new THREE.Group();
+            group.visible = false;
+            this.overlays[name] = group;
+            this.scene.add(group);
+        });
+        
+        this.createGridOverlay(this.overlays.grid);
+        this.createAnglesOverlay(this.overlays.angles);
+        this.createProjectionsOverlay(this.overlays.projections);
+        
+        const equator = new THREE.LineBasicMaterial({ color: 0xfacc15 });
+        this.overlays.equator.add(new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(this.greatCirclePoints(new THREE.Vector3(0, 0, 1))),
+            equator
+        ));
+        this.setGreatCircle(this.greatCircleNormal);
+    }
+    
+    // Parallels of constant θ and meridians of constant φ every 30°, labelled in degrees
+    createGridOverlay(group) {
+        const material = new THREE.LineBasicMaterial({ color: 0x94a3b8, transparent: true, opacity: 0.35 });
+        const degrees = Math.PI / 180;
+        const addLabel = (text, position) => {
+            const label = this.createTextSprite(text, '#94a3b8', 64, 192);
+            label.position.copy(position);
+            label.scale.set(0.3, 0.1, 1);
+            group.add(label);
+        };
+        
+        for (let theta = 30; theta < 180; theta += 30) {
+            const points = this.blochCurve(t => this.anglesToVector(theta * degrees, 2 * Math.PI * t));
+            group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+            // Down the φ = 45° meridian, between the X and Y axes
+            addLabel(`θ ${theta}°`, this.blochToScene(this.anglesToVector(theta * degrees, 45 * degrees)).multiplyScalar(1.1));
+        }
+        
+        for (let phi = 0; phi < 360; phi += 30) {
+            const points = this.blochCurve(t => this.anglesToVector(Math.PI * t, phi * degrees), 48);
+            group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), material));
+            // Just above the equator, so they don't sit on the θ 90° ring
+            addLabel(`φ ${phi}°`, this.blochToScene(this.anglesToVector(84 * degrees, phi * degrees)).multiplyScalar(1.15));
+        }
+    }
+    
+    // θ arc from +Z down to the state, φ arc from +X to the state's shadow on the equator
+    createAnglesOverlay(group) {
+        const arcMaterial = new THREE.LineBasicMaterial({ color: 0xf472b6 });
+        const guideMaterial = new THREE.LineDashedMaterial({ color: 0xf472b6, dashSize: 0.04, gapSize: 0.03 });
+        
+        const parts = {
+            thetaArc: this.createDynamicLine(arcMaterial, 49),
+            phiArc: this.createDynamicLine(arcMaterial, 49),
+            radial: this.createDynamicLine(guideMaterial), // origin to the shadow
+            drop: this.createDynamicLine(guideMaterial),   // tip down to the shadow
+            thetaLabel: this.createTextSprite('', '#f472b6', 64, 256),
+            phiLabel: this.createTextSprite('', '#f472b6', 64, 256)
+        };
+        [parts.thetaLabel, parts.phiLabel].forEach(label => label.scale.set(0.4, 0.1, 1));
+        
+        group.add(...Object.values(parts));
+        group.userData = parts;
+    }
+    
+    // Dashed drops from the tip onto each axis, marking ⟨X⟩, ⟨Y⟩ and ⟨Z⟩
+    createProjectionsOverlay(group) {
+        const axes = [
+            { key: 'x', name: 'X', color: '#ef4444', offset: [0, 0.1, 0] },
+            { key: 'y', name: 'Y', color: '#2563eb', offset: [0, 0.1, 0] },
+            { key: 'z', name: 'Z', color: '#10b981', offset: [0.25, 0, 0] }
+        ];
+        
+        group.userData.axes = axes.map(({ key, name, color, offset }) => {
+            const line = this.createDynamicLine(new THREE.LineDashedMaterial({ color, dashSize: 0.04, gapSize: 0.03 }));
+            const marker = new THREE.Mesh(new THREE.SphereGeometry(0.03, 12, 8), new THREE.MeshBasicMaterial({ color }));
+            const label = this.createTextSprite('', color, 64, 256);
+            label.scale.set(0.4, 0.1, 1);
+            group.add(line, marker, label);
+            return { key, name, line, marker, label, offset: new THREE.Vector3(...offset) };
+        });
+    }
+    
+    // Redraw the overlays that follow the state
+    updateOverlays() {
+        const { angles, projections } = this.overlays;
+        if (!angles) return;
+        const v = this.getBlochVector();
+        
+        if (angles.visible) {
+            const { thetaArc, phiArc, radial, drop, thetaLabel, phiLabel } = angles.userData;
+            const arcRadius = 0.35;
+            const degrees = 180 / Math.PI;
+            
+            // The maximally mixed state has no angles to show; φ is undefined on the Z axis
+            const hasTheta = v.length() > 1e-3;
+            const shadow = new THREE.Vector3(v.x, v.y, 0);
+            const hasPhi = shadow.length() > 1e-3;
+            [thetaArc, thetaLabel].forEach(obj => obj.visible = hasTheta);
+            [phiArc, radial, drop, phiLabel].forEach(obj => obj.visible = hasPhi);
+            
+            this.setLinePoints(thetaArc, this.blochCurve(t => this.anglesToVector(this.theta * t, this.phi).multiplyScalar(arcRadius), 48));
+            thetaLabel.position.copy(this.blochToScene(this.anglesToVector(this.theta / 2, this.phi)).multiplyScalar(arcRadius + 0.2));
+            this.setSpriteText(thetaLabel, `θ = ${(this.theta * degrees).toFixed(0)}°`);
+            
+            this.setLinePoints(phiArc, this.blochCurve(t => this.anglesToVector(Math.PI / 2, this.phi * t).multiplyScalar(arcRadius), 48));
+            phiLabel.position.copy(this.blochToScene(this.anglesToVector(Math.PI / 2, this.phi / 2)).multiplyScalar(arcRadius + 0.2));
+            this.setSpriteText(phiLabel, `φ = ${(this.phi * degrees).toFixed(0)}°`);
+            
+            this.setLinePoints(radial, [new THREE.Vector3(), this.blochToScene(shadow)]);
+            this.setLinePoints(drop, [this.blochToScene(v), this.blochToScene(shadow)]);
+        }
+        
+        if (projections.visible) {
+            const tip = this.blochToScene(v);
+            projections.userData.axes.forEach(({ key, name, line, marker, label, offset }) => {
+                const foot = new THREE.Vector3();
+                foot[key] = v[key];
+                const sceneFoot = this.blochToScene(foot);
+                
+                this.setLinePoints(line, [tip, sceneFoot]);
+                marker.position.copy(sceneFoot);
+                label.position.copy(sceneFoot).add(offset);
+                this.setSpriteText(label, `⟨${name}⟩ = ${v[key].toFixed(2)}`);
+            });
+        }
+    }
+    
+    // Great circle perpendicular to `normal` (Bloch coordinates)
+    setGreatCircle(normal) {
+        const group = this.overlays.greatCircle;
+        group.children.slice().forEach(obj => {
+            group.remove(obj);
+            obj.geometry.dispose();
+            obj.material.dispose();
+        });
+        
+        this.greatCircleNormal = normal.clone().normalize();
+        const material = new THREE.LineBasicMaterial({ color: 0xa78bfa });
+        group.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(this.greatCirclePoints(this.greatCircleNormal)), material));
+        
+        // Dot on the normal, so circles through the same points can be told apart
+        const pole = new THREE.Mesh(new THREE.SphereGeometry(0.03, 12, 8), new THREE.MeshBasicMaterial({ color: 0xa78bfa }));
+        pole.position.copy(this.blochToScene(this.greatCircleNormal));
+        group.add(pole);
+    }
+    
+    readGreatCircleNormal() {
+        const theta = parseFloat(this.root.getElementById('great-circle-theta').value);
+        const phi = parseFloat(this.root.getElementById('great-circle-phi').value);
+        if (!Number.isFinite(theta) || !Number.isFinite(phi)) return;
+        this.setGreatCircle(this.anglesToVector(theta * Math.PI / 180, phi * Math.PI / 180));
+    }
+    
+    greatCirclePoints(normal, segments = 128) {
+        const n = normal.clone().normalize();
+        // Any direction not parallel to n gives the first in-plane axis
+        const helper = Math.abs(n.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+        const u = new THREE.Vector3().crossVectors(n, helper).normalize();
+        const w = new THREE.Vector3().crossVectors(n, u);
+        return this.blochCurve(t => u.clone().multiplyScalar(Math.cos(2 * Math.PI * t)).addScaledVector(w, Math.sin(2 * Math.PI * t)), segments);
+    }
+    
+    // Scene points along a Bloch-space curve, t running from 0 to 1
+    blochCurve(curve, segments = 96) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            points.push(this.blochToScene(curve(i / segments)));
+        }
+        return points;
+    }
+    
+    // Line with room for maxPoints vertices, rewritten in place by setLinePoints
+    createDynamicLine(material, maxPoints = 2) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(maxPoints * 3), 3));
+        geometry.setAttribute('lineDistance', new THREE.BufferAttribute(new Float32Array(maxPoints), 1));
+        geometry.setDrawRange(0, 0);
+        
+        const line = new THREE.Line(geometry, material);
+        line.frustumCulled = false;
+        return line;
+    }
+    
+    // Fills lineDistance as well, so dashed materials work without computeLineDistances
+    setLinePoints(line, points) {
+        const { position, lineDistance } = line.geometry.attributes;
+        let distance = 0;
+        points.forEach((p, i) => {
+            if (i > 0) distance += p.distanceTo(points[i - 1]);
+            position.setXYZ(i, p.x, p.y, p.z);
+            lineDistance.setX(i, distance);
+        });
+        position.needsUpdate = true;
+        lineDistance.needsUpdate = true;
+        line.geometry.setDrawRange(0, points.length);
+    }
+    
+    updateSliders() {
+        const thetaDegrees = (this.theta * 180) / Math.PI;
+        const phiDegrees = (this.phi * 180) / Math.PI;
+        
+        this.root.getElementById('theta-slider').value = thetaDegrees;
+        this.root.getElementById('phi-slider').value = phiDegrees;
+        this.root.getElementById('theta-value').textContent = `${thetaDegrees.toFixed(0)}°`;
+        this.root.getElementById('phi-value').textContent = `${phiDegrees.toFixed(0)}°`;
+    }
+    
+    performMeasurement() {
+        const measureBtn = this.root.getElementById('measure-btn');
+        measureBtn.classList.add('measuring');
+        
+        // Simulate measurement
+        this.measureTimer = setTimeout(() => {
+            this.measureNow();
+            measureBtn.classList.remove('measuring');
+        }, 1000);
+    }
+    
+    // Measure in the current basis: { outcome, label, probability, state }, or
+    // null when it waits for a running animation (the measured event reports it)
+    measureNow() {
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.measureNow());
+            return null;
+        }
+        
+        const { outcome, probability, state } = this.getState().measure(this.measurementAxis());
+        this.gateLog.steps.push(this.measurementBasis.name === 'z'
+            ? { measure: true }
+            : { comment: `measurement along ${this.formatAngles(this.measurementBasis)} (QASM measures along z)` });
+        
+        // Post-select onto the eigenstate along (or against) the measurement axis
+        const { theta, phi } = state.angles();
+        this.animateToState(theta, phi);
+        
+        const label = Measurement.outcomeLabels(this.measurementBasis.name)[outcome];
+        this.recordHistory(`Measure → ${label}`, state.angles());
+        this.showMeasureStatus(`Result: ${label} (p = ${(probability * 100).toFixed(1)}%)`);
+        
+        const result = { outcome, label, probability, state, basis: this.measurementBasis.name };
+        this.emit('measured', result);
+        return result;
+    }
+    
+    canDrag() {
+        return this.dragEnabled && !this.readOnly && !this.pickingBasis && !this.synthesis.picking &&
+            !this.isAnimating && !this.twoQubit.enabled && !this.exercise.set;
+    }
+    
+    // Grab the arrow tip or any point of the sphere surface
+    startDrag(event) {
+        if (!this.canDrag() || this.dragging !== null) return;
+        const onArrow = this.pointerRay(event).intersectObject(this.stateVector, true).length > 0;
+        const direction = this.spherePointAt(event);
+        if (!onArrow && !direction) return;
+        
+        // Keep OrbitControls from rotating the camera for this gesture
+        event.stopPropagation();
+        this.controls.enabled = false;
+        this.dragging = event.pointerId;
+        this.renderer.domElement.setPointerCapture(event.pointerId);
+        this.renderer.domElement.style.cursor = 'grabbing';
+        this.pauseSequence();
+        this.pauseEvolution();
+        
+        // A click on the surface moves the state there; grabbing the arrow waits for movement
+        if (!onArrow) this.dragTo(direction);
+    }
+    
+    moveDrag(event) {
+        if (this.dragging === null) {
+            // Hint that the arrow can be grabbed
+            if (this.canDrag() && event.pointerType === 'mouse') {
+                const onArrow = this.pointerRay(event).intersectObject(this.stateVector, true).length > 0;
+                this.renderer.domElement.style.cursor = onArrow ? 'grab' : '';
+            }
+            return;
+        }
+        if (event.pointerId !== this.dragging) return;
+        
+        event.stopPropagation();
+        const direction = this.spherePointAt(event, true);
+        if (direction) this.dragTo(direction);
+    }
+    
+    endDrag(event) {
+        if (event.pointerId !== this.dragging) return;
+        
+        this.dragging = null;
+        this.controls.enabled = true;
+        this.renderer.domElement.releasePointerCapture(event.pointerId);
+        this.renderer.domElement.style.cursor = '';
+        this.startGateLog(this.theta, this.phi, this.radius);
+        this.recordHistory(`Drag → ${this.formatAngles(this)}`, this);
+    }
+    
+    // Point the state along a Bloch direction; mixed states keep their length
+    dragTo(direction) {
+        let { theta, phi } = this.vectorToAngles(direction);
+        if (this.snapDrag) ({ theta, phi } = this.snapAngles(theta, phi));
+        this.theta = theta;
+        this.phi = phi;
+        this.updateQuantumState();
+        this.updateSliders();
+    }
+    
+    /**
+     * Snap to the six cardinal states within 8°, otherwise pull θ and φ
+     * separately onto the 15° grid lines within 4°.
+     */
+    snapAngles(theta, phi) {
+        const degree = Math.PI / 180;
+        const direction = this.anglesToVector(theta, phi);
+        const cardinals = [[0, 0], [Math.PI, 0], [Math.PI / 2, 0], [Math.PI / 2, Math.PI / 2],
+            [Math.PI / 2, Math.PI], [Math.PI / 2, 3 * Math.PI / 2]];
+        const cardinal = cardinals.find(([t, p]) => direction.angleTo(this.anglesToVector(t, p)) < 8 * degree);
+        if (cardinal) return { theta: cardinal[0], phi: cardinal[1] };
+        
+        const snap = (angle) => {
+            const nearest = Math.round(angle / (15 * degree)) * 15 * degree;
+            return Math.abs(angle - nearest) < 4 * degree ? nearest : angle;
+        };
+        return { theta: snap(theta), phi: snap(phi) % (2 * Math.PI) };
+    }
+    
+    readMeasurementBasis() {
+        const name = this.root.getElementById('measure-basis').value;
+        this.root.getElementById('custom-basis').hidden = name !== 'custom';
+        
+        if (name === 'custom') {
+            const theta = (parseFloat(this.root.getElementById('basis-theta').value) || 0) * Math.PI / 180;
+            const phi = (parseFloat(this.root.getElementById('basis-phi').value) || 0) * Math.PI / 180;
+            this.measurementBasis = { name, theta, phi };
+        } else {
+            this.measurementBasis = { name, ...Measurement.bases[name] };
+        }
+        this.showMeasurementAxis();
+    }
+    
+    measurementAxis() {
+        return this.anglesToVector(this.measurementBasis.theta, this.measurementBasis.phi);
+    }
+    
+    showMeasurementAxis() {
+        if (this.measurementAxisLine) {
+            this.scene.remove(this.measurementAxisLine);
+            this.measurementAxisLine.traverse(obj => {
+                if (obj.geometry) obj.geometry.dispose();
+                if (obj.material) obj.material.dispose();
+            });
+        }
+        
+        const end = this.blochToScene(this.measurementAxis()).multiplyScalar(1.2);
+        const color = 0x7c3aed;
+        
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([end.clone().negate(), end]),
+            new THREE.LineDashedMaterial({ color, dashSize: 0.05, gapSize: 0.04 })
+        );
+        line.computeLineDistances();
+        
+        // Marker on the "+" outcome end
+        const marker = new THREE.Mesh(
+            new THREE.SphereGeometry(0.04, 12, 8),
+            new THREE.MeshBasicMaterial({ color })
+        );
+        marker.position.copy(end);
+        
+        this.measurementAxisLine = new THREE.Group();
+        this.measurementAxisLine.add(line, marker);
+        this.scene.add(this.measurementAxisLine);
+    }
+    
+    // Raycaster through the pointer position of a mouse or touch event
+    pointerRay(event) {
+        // Map the event to normalized device coordinates
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(pointer, this.camera);
+        return raycaster;
+    }
+    
+    /**
+     * Bloch direction of the sphere point under the pointer, or null on a miss.
+     * With clampToEdge a miss gives the point of the silhouette nearest the ray,
+     * so a drag carries on smoothly when the pointer leaves the sphere.
+     */
+    spherePointAt(event, clampToEdge = false) {
+        const raycaster = this.pointerRay(event);
+        const [hit] = raycaster.intersectObject(this.sphere);
+        let point = hit ? hit.point : null;
+        if (!point && clampToEdge) {
+            point = raycaster.ray.closestPointToPoint(new THREE.Vector3(), new THREE.Vector3());
+            if (point.lengthSq() < 1e-12) return null;
+        }
+        if (!point) return null;
+        
+        // Scene (x, y, z) -> Bloch (z, x, y)
+        return new THREE.Vector3(point.z, point.x, point.y).normalize();
+    }
+    
+    pickMeasurementAxis(event) {
+        const direction = this.spherePointAt(event);
+        if (!direction) return false;
+        
+        const { theta, phi } = this.vectorToAngles(direction);
+        this.root.getElementById('measure-basis').value = 'custom';
+        this.root.getElementById('basis-theta').value = (theta * 180 / Math.PI).toFixed(1);
+        this.root.getElementById('basis-phi').value = (phi * 180 / Math.PI).toFixed(1);
+        this.readMeasurementBasis();
+        return true;
+    }
+    
+    runShots() {
+        const shots = Math.round(parseFloat(this.root.getElementById('shot-count').value));
+        const histogram = this.root.getElementById('shot-histogram');
+        if (!Number.isInteger(shots) || shots < 1 || shots > 10000) {
+            histogram.textContent = 'Shots must be between 1 and 10,000';
+            return;
+        }
+        
+        const rng = this.shotRng();
+        if (!rng) return;
+        
+        // Each shot measures a fresh copy of the state, so the sphere doesn't collapse
+        const { plus, minus } = this.getState().probabilities(this.measurementAxis());
+        const counts = Measurement.sample(plus, shots, rng);
+        const labels = Measurement.outcomeLabels(this.measurementBasis.name);
+        
+        histogram.innerHTML = '';
+        [['plus', plus], ['minus', minus]].forEach(([outcome, expected]) => {
+            const observed = counts[outcome] / shots;
+            // Standard error of a binomial proportion
+            const error = Math.sqrt(expected * (1 - expected) / shots);
+            
+            const row = document.createElement('div');
+            row.className = 'hist-row';
+            
+            const label = document.createElement('span');
+            label.textContent = `${labels[outcome]}: ${counts[outcome]} ` +
+                `(${(observed * 100).toFixed(1)}% ± ${(error * 100).toFixed(1)}%, expected ${(expected * 100).toFixed(1)}%)`;
+            
+            const bar = document.createElement('div');
+            bar.className = 'bar hist-bar';
+            const fill = document.createElement('div');
+            fill.className = 'fill';
+            fill.style.width = `${observed * 100}%`;
+            const marker = document.createElement('div');
+            marker.className = 'hist-expected';
+            marker.style.left = `${expected * 100}%`;
+            bar.append(fill, marker);
+            
+            row.append(label, bar);
+            histogram.appendChild(row);
+        });
+    }
+    
+    // A fixed seed reproduces the same counts on every run; null (with an
+    // error in the measurement status) if the seed isn't a whole number
+    shotRng() {
+        const input = this.root.getElementById('shot-seed');
+        const seedValue = input.value.trim();
+        // A number field reports text it can't parse as an empty value
+        if (seedValue === '' && !input.validity.badInput) return Math.random;
+        const seed = Number(seedValue);
+        if (!/^-?\d+$/.test(seedValue) || !Number.isSafeInteger(seed)) {
+            this.showMeasureStatus(`Seed must be a whole number, got "${seedValue}"`, true);
+            return null;
+        }
+        if (this.root.getElementById('measure-result').classList.contains('error')) this.showMeasureStatus('');
+        return createRng(seed);
+    }
+    
+    showMeasureStatus(message, isError = false) {
+        const status = this.root.getElementById('measure-result');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    runTomography() {
+        const shots = Math.round(parseFloat(this.root.getElementById('tomo-shots').value));
+        if (!Number.isInteger(shots) || shots < 1 || shots > 100000) {
+            this.root.getElementById('tomo-results').textContent = 'Shots per basis must be between 1 and 100,000';
+            return;
+        }
+        
+        const rng = this.shotRng();
+        if (!rng) {
+            this.root.getElementById('tomo-results').textContent = 'Fix the seed in the Measurement panel first';
+            return;
+        }
+        const counts = Tomography.simulate(this.getState(), shots, rng);
+        Tomography.axes.forEach(axis => {
+            this.root.getElementById(`tomo-${axis}-plus`).value = counts[axis].plus;
+            this.root.getElementById(`tomo-${axis}-minus`).value = counts[axis].minus;
+        });
+        this.reconstructFromCounts();
+    }
+    
+    readTomographyCounts() {
+        const counts = {};
+        for (const axis of Tomography.axes) {
+            const plus = Number(this.root.getElementById(`tomo-${axis}-plus`).value);
+            const minus = Number(this.root.getElementById(`tomo-${axis}-minus`).value);
+            if (![plus, minus].every(n => Number.isInteger(n) && n >= 0) || plus + minus === 0) {
+                return { error: `${axis.toUpperCase()} counts must be whole numbers, not both zero` };
+            }
+            counts[axis] = { plus, minus };
+        }
+        return { counts };
+    }
+    
+    reconstructFromCounts() {
+        const results = this.root.getElementById('tomo-results');
+        const { counts, error } = this.readTomographyCounts();
+        if (error) {
+            results.textContent = error;
+            return;
+        }
+        
+        const truth = this.getState().densityMatrix();
+        const estimates = {
+            linear: Tomography.linearInversion(counts),
+            mle: Tomography.maximumLikelihood(counts)
+        };
+        
+        results.innerHTML = '';
+        [['linear', 'Linear inversion'], ['mle', 'Max. likelihood']].forEach(([key, name]) => {
+            const r = estimates[key];
+            const rho = DensityMatrix.fromBlochVector(r);
+            const row = document.createElement('div');
+            const unphysical = Math.hypot(r.x, r.y, r.z) > 1 + 1e-9 ? ' (outside the ball)' : '';
+            row.textContent = `${name}: r = (${r.x.toFixed(3)}, ${r.y.toFixed(3)}, ${r.z.toFixed(3)})${unphysical}, ` +
+                `F = ${truth.fidelity(rho).toFixed(4)}, D = ${truth.traceDistance(rho).toFixed(4)}`;
+            results.appendChild(row);
+        });
+        
+        this.tomographyEstimates = estimates;
+        this.showReconstructedVector();
+    }
+    
+    showReconstructedVector() {
+        const estimator = this.root.getElementById('tomo-estimator').value;
+        if (!this.tomographyEstimates) return;
+        
+        if (!this.reconstructedVector) {
+            const material = new THREE.MeshPhongMaterial({
+                color: 0xf59e0b,
+                transparent: true,
+                opacity: 0.45
+            });
+            this.reconstructedVector = this.createArrow(material);
+            this.scene.add(this.reconstructedVector);
+        }
+        
+        // Linear inversion can leave the ball; draw it clipped to the sphere
+        const { x, y, z } = this.tomographyEstimates[estimator];
+        const v = new THREE.Vector3(x, y, z);
+        if (v.length() > 1) v.normalize();
+        this.setArrowVector(this.reconstructedVector, v);
+        this.reconstructedVector.visible = true;
+    }
+    
+    clearTomography() {
+        this.tomographyEstimates = null;
+        if (this.reconstructedVector) this.reconstructedVector.visible = false;
+        this.root.getElementById('tomo-results').textContent = '';
+        this.root.getElementById('tomo-sweep').innerHTML = '';
+    }
+    
+    // Average fidelity and trace distance over repeated runs for growing N
+    sweepTomography() {
+        const truth = this.getState().densityMatrix();
+        const rng = this.shotRng();
+        if (!rng) {
+            this.root.getElementById('tomo-results').textContent = 'Fix the seed in the Measurement panel first';
+            return;
+        }
+        const repeats = 20;
+        
+        const table = this.root.getElementById('tomo-sweep');
+        table.innerHTML = '<tr><th>N</th><th>D (lin.)</th><th>D (MLE)</th><th>F (MLE)</th></tr>';
+        
+        [10, 30, 100, 300, 1000, 3000, 10000].forEach(shots => {
+            let linearDistance = 0;
+            let mleDistance = 0;
+            let mleFidelity = 0;
+            for (let i = 0; i < repeats; i++) {
+                const counts = Tomography.simulate(truth.blochVector(), shots, rng);
+                const linear = DensityMatrix.fromBlochVector(Tomography.linearInversion(counts));
+                const mle = DensityMatrix.fromBlochVector(Tomography.maximumLikelihood(counts));
+                linearDistance += truth.traceDistance(linear) / repeats;
+                mleDistance += truth.traceDistance(mle) / repeats;
+                mleFidelity += truth.fidelity(mle) / repeats;
+            }
+            
+            const row = document.createElement('tr');
+            [shots, linearDistance.toFixed(4), mleDistance.toFixed(4), mleFidelity.toFixed(4)].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+    
+    resetState() {
+        if (this.twoQubit.enabled) {
+            this.setTwoQubitPreset('00');
+            return;
+        }
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.resetState());
+            return;
+        }
+        this.animateToState(0, 0); // Reset to |0⟩ state
+        this.startGateLog(0, 0);
+        this.recordHistory('Reset', { theta: 0, phi: 0 });
+    }
+    
+    // Push a labelled state onto the history, dropping anything that was undone
+    recordHistory(label, { theta, phi, radius = 1 }) {
+        const history = this.history;
+        history.entries.splice(history.index + 1);
+        history.entries.push({ label, state: { theta, phi, radius } });
+        if (history.entries.length > this.historyLimit) history.entries.shift();
+        history.index = history.entries.length - 1;
+        this.renderHistory();
+    }
+    
+    undo() {
+        if (this.history.index > 0) this.goToHistory(this.history.index - 1);
+    }
+    
+    redo() {
+        if (this.history.index < this.history.entries.length - 1) this.goToHistory(this.history.index + 1);
+    }
+    
+    // Return to entry `index`; scrubbing jumps instead of animating
+    goToHistory(index, animate = true) {
+        if (this.twoQubit.enabled || !this.history.entries[index]) return;
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.goToHistory(index, animate));
+            return;
+        }
+        
+        this.pauseSequence();
+        this.pauseEvolution();
+        this.history.index = index;
+        const { theta, phi, radius } = this.history.entries[index].state;
+        if (animate) {
+            this.animateToState(theta, phi, 400, radius);
+        } else {
+            Object.assign(this, { theta, phi, radius });
+            this.updateQuantumState();
+            this.updateSliders();
+        }
+        this.startGateLog(theta, phi, radius);
+        this.renderHistory();
+    }
+    
+    renderHistory() {
+        const { entries, index } = this.history;
+        const timeline = this.root.getElementById('history-timeline');
+        timeline.innerHTML = '';
+        
+        entries.forEach((entry, i) => {
+            const step = document.createElement('button');
+            step.className = 'history-step';
+            if (i === index) step.classList.add('current');
+            if (i > index) step.classList.add('undone');
+            step.textContent = entry.label;
+            step.title = this.formatAngles(entry.state) +
+                (entry.state.radius < 1 - 1e-9 ? `, r ${entry.state.radius.toFixed(2)}` : '');
+            step.addEventListener('click', () => this.goToHistory(i));
+            timeline.appendChild(step);
+            if (i === index) timeline.scrollLeft = step.offsetLeft - timeline.clientWidth / 2;
+        });
+        
+        const scrub = this.root.getElementById('history-scrub');
+        scrub.max = entries.length - 1;
+        scrub.value = index;
+        this.root.getElementById('undo-btn').disabled = index === 0;
+        this.root.getElementById('redo-btn').disabled = index === entries.length - 1;
+    }
+    
+    startGateLog(theta, phi, radius = 1) {
+        this.gateLog = { start: { theta, phi, radius }, steps: [] };
+    }
+    
+    // Replace the gate sequence with a QASM program, ready to play from |0⟩
+    loadQasm(source) {
+        const { steps, errors } = Qasm.parse(source);
+        if (errors.length) {
+            this.showQasmStatus(errors.map(({ line, message }) => `Line ${line}: ${message}`).join('\n'), true);
+            return;
+        }
+        
+        const gates = steps.filter(step => !step.measure).map(({ gate, params }) => ({ gate, params }));
+        if (!gates.length) {
+            this.showQasmStatus('The program has no gates to play', true);
+            return;
+        }
+        
+        this.pauseSequence();
+        this.pauseEvolution();
+        this.sequence = gates;
+        this.sequencePosition = 0;
+        this.animateToState(0, 0); // QASM qubits start in |0⟩
+        this.startGateLog(0, 0);
+        this.recordHistory('Load QASM', { theta: 0, phi: 0 });
+        this.animationQueue.push(() => this.renderSequence());
+        this.renderSequence();
+        
+        const measured = steps.some(step => step.measure) ? '; it ends with a z measurement, use Measure after playing' : '';
+        this.showQasmStatus(`Loaded ${gates.length} gate(s) into the sequence${measured}`);
+    }
+    
+    exportQasm() {
+        const { start, steps } = this.gateLog;
+        const prefix = [];
+        
+        // u3(θ, φ, 0)|0⟩ is the pure state at (θ, φ)
+        if (start.theta > 1e-9 || start.radius < 1 - 1e-9) {
+            prefix.push({ comment: `prepare the starting state ${this.formatAngles(start)}` });
+            if (start.radius < 1 - 1e-9) {
+                prefix.push({ comment: `it was mixed (r = ${start.radius.toFixed(3)}); only its direction is prepared` });
+            }
+            prefix.push({ gate: 'u3', params: [start.theta, start.phi, 0] });
+        }
+        
+        const version = parseInt(this.root.getElementById('qasm-version').value, 10);
+        this.root.getElementById('qasm-text').value = Qasm.serialize([...prefix, ...steps], { version });
+        this.showQasmStatus(`Exported ${steps.filter(step => step.gate).length} gate(s) as OpenQASM ${version}.0`);
+    }
+    
+    showQasmStatus(message, isError = false) {
+        const status = this.root.getElementById('qasm-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    // Bloch vector of the Solve panel's target; throws ValidationError
+    readSynthesisTarget() {
+        const choice = this.root.getElementById('synth-target').value;
+        if (PRESET_STATES[choice]) {
+            return this.anglesToVector(PRESET_STATES[choice].theta, PRESET_STATES[choice].phi);
+        }
+        
+        if (choice === 'picked') {
+            if (!this.synthesis.picked) {
+                throw new ValidationError('click 🎯 Pick, then a point on the sphere');
+            }
+            return this.synthesis.picked.clone();
+        }
+        
+        // Only the direction matters, so the amplitudes needn't be normalized
+        const alpha = this.readExpression('synth-alpha', 'α');
+        const beta = this.readExpression('synth-beta', 'β');
+        if (Math.hypot(alpha.abs(), beta.abs()) < 1e-12) {
+            throw new ValidationError('α and β are both zero');
+        }
+        const { x, y, z } = QubitState.fromAmplitudes(alpha, beta).blochVector();
+        return new THREE.Vector3(x, y, z);
+    }
+    
+    pickSynthesisTarget(event) {
+        const direction = this.spherePointAt(event);
+        if (!direction) return false;
+        
+        this.synthesis.picked = direction;
+        this.root.getElementById('synth-target').value = 'picked';
+        this.root.getElementById('synth-amplitudes').hidden = true;
+        this.showSynthesisMarker(direction);
+        this.showSynthesisStatus(`Target ${this.formatAngles(this.vectorToAngles(direction))}`);
+        return true;
+    }
+    
+    showSynthesisMarker(target) {
+        if (!this.synthesis.marker) {
+            this.synthesis.marker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.05, 16, 12),
+                new THREE.MeshBasicMaterial({ color: 0xf59e0b, transparent: true, opacity: 0.8 })
+            );
+            this.scene.add(this.synthesis.marker);
+        }
+        this.synthesis.marker.position.copy(this.blochToScene(target.clone().normalize()));
+    }
+    
+    // Find gates from the current state to the target and load them into the sequencer
+    solveSynthesis() {
+        if (this.twoQubit.enabled) return;
+        const gateSet = this.root.getElementById('synth-gate-set').value;
+        const precision = parseFloat(this.root.getElementById('synth-precision').value);
+        this.root.getElementById('synth-curve').hidden = true;
+        
+        let target;
+        try {
+            target = this.readSynthesisTarget();
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            this.showSynthesisStatus(err.message, true);
+            return;
+        }
+        this.showSynthesisMarker(target);
+        
+        // Let the status paint before a Clifford+T search holds the page for a moment
+        this.showSynthesisStatus('Searching…');
+        const from = this.getBlochVector();
+        setTimeout(() => {
+            if (this.disposed) return;
+            let result;
+            try {
+                result = Synthesis.solve(gateSet, from, target, { precision });
+            } catch (err) {
+                if (!(err instanceof ValidationError)) throw err;
+                this.showSynthesisStatus(err.message, true);
+                return;
+            }
+            this.showSynthesisResult(gateSet, result, precision);
+        }, 20);
+    }
+    
+    showSynthesisResult(gateSet, { steps, error, reached, curve }, precision) {
+        const formatError = e => (e < 1e-12 ? '0' : e < 1e-3 ? e.toExponential(1) : e.toFixed(4));
+        const gates = steps.map(({ gate, params }) => QuantumGates.describe(gate, params)).join(' · ');
+        
+        if (gateSet === 'clifford' && !reached) {
+            this.showSynthesisStatus('Not reachable with H and S: Clifford gates only move the state ' +
+                `between 24 points. The closest is ${formatError(error)} away (trace distance)` +
+                (steps.length ? `, via ${gates}; loaded into the sequence` : ' and the current state is already the closest'), true);
+        } else if (!steps.length) {
+            this.showSynthesisStatus('Already at the target');
+        } else if (!reached) {
+            this.showSynthesisStatus(`Precision ${precision} not reached within the search budget. ` +
+                `Best found: ${steps.length} gates, error ${formatError(error)}. Loaded into the sequence`, true);
+        } else {
+            this.showSynthesisStatus(`${steps.length} gate(s), error ${formatError(error)}: ${gates}. ` +
+                'Loaded into the Gate Sequence; step with ⏵ or press ▶');
+        }
+        
+        if (steps.length) {
+            this.pauseSequence();
+            this.pauseEvolution();
+            this.sequence = steps.map(({ gate, params }) => ({ gate, params }));
+            this.sequencePosition = 0;
+            this.renderSequence();
+        }
+        
+        // Sequence length vs. error, for the approximate gate set
+        const table = this.root.getElementById('synth-curve');
+        table.innerHTML = '<tr><th>Gates</th><th>Error</th></tr>';
+        curve.forEach(({ length, error: e }) => {
+            const row = document.createElement('tr');
+            if (length === steps.length) row.className = 'current';
+            [String(length), formatError(e)].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        table.hidden = gateSet !== 'cliffordT';
+    }
+    
+    showSynthesisStatus(message, isError = false) {
+        const status = this.root.getElementById('synth-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    toggleAxesVisibility(visible) {
+        this.axes.forEach(axis => {
+            axis.visible = visible;
+        });
+        // Toggle label sprites alongside axes
+        if (this.labels && this.labels.length) {
+            this.labels.forEach(lbl => lbl.visible = visible);
+        }
+    }
+    
+    toggleSphereVisibility(visible) {
+        this.sphere.visible = visible;
+        if (this.twoQubit.sphereB) this.twoQubit.sphereB.userData.wireframe.visible = visible;
+    }
+    
+    // Everything needed to reproduce the current view, as a Serialization document
+    createDocument() {
+        const settings = {};
+        Object.entries(SHARED_SETTINGS).forEach(([key, id]) => {
+            settings[key] = this.root.getElementById(id).checked;
+        });
+        
+        const { theta, phi, radius } = this.sequenceStart;
+        const sequence = this.sequence.length ? {
+            gates: this.sequence,
+            position: this.sequencePosition,
+            start: QubitState.fromAngles(theta, phi, radius)
+        } : null;
+        
+        return Serialization.createDocument({
+            state: this.getState(),
+            sequence,
+            camera: {
+                position: this.camera.position.toArray(),
+                target: this.controls.target.toArray()
+            },
+            settings
+        });
+    }
+    
+    // Apply a document from Serialization.parseDocument without animating
+    applyDocument({ state, sequence, camera, settings }) {
+        // Documents describe a single qubit
+        const twoQubitMode = this.root.getElementById('two-qubit-mode');
+        if (twoQubitMode.checked) {
+            twoQubitMode.checked = false;
+            twoQubitMode.dispatchEvent(new Event('change'));
+        }
+        this.pauseSequence();
+        this.pauseEvolution();
+        this.animationQueue = [];
+        
+        if (settings) {
+            Object.entries(settings).forEach(([key, value]) => {
+                const checkbox = SHARED_SETTINGS[key] && this.root.getElementById(SHARED_SETTINGS[key]);
+                if (checkbox && checkbox.checked !== value) {
+                    checkbox.checked = value;
+                    checkbox.dispatchEvent(new Event('change'));
+                }
+            });
+        }
+        
+        if (camera) {
+            this.camera.position.fromArray(camera.position);
+            this.controls.target.fromArray(camera.target);
+            this.controls.update();
+        }
+        
+        this.sequence = sequence ? sequence.gates : [];
+        this.sequencePosition = sequence ? sequence.position : 0;
+        this.sequenceStart = sequence ? sequence.start.angles() : { theta: 0, phi: 0, radius: 1 };
+        
+        const { x, y, z } = state.blochVector();
+        this.setBlochVector(new THREE.Vector3(x, y, z));
+        this.startGateLog(this.theta, this.phi, this.radius);
+        this.recordHistory('Load', this);
+        this.renderSequence();
+    }
+    
+    // URL-safe base64 of the JSON document, so links survive forums and chat
+    encodeHash(doc) {
+        return btoa(JSON.stringify(doc)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    
+    decodeHash(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        try {
+            return atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        } catch (err) {
+            throw new Error('the link is truncated or corrupted');
+        }
+    }
+    
+    loadFromHash() {
+        const match = window.location.hash.match(/^#state=(.+)$/);
+        if (!match) return;
+        
+        try {
+            this.applyDocument(Serialization.parseDocument(this.decodeHash(match[1])));
+            this.showShareStatus('Loaded configuration from link');
+        } catch (err) {
+            this.showShareStatus(`Could not load link: ${err.message}`, true);
+        }
+    }
+    
+    copyPermalink() {
+        const hash = `#state=${this.encodeHash(this.createDocument())}`;
+        // replaceState keeps the hashchange listener from re-applying our own link
+        history.replaceState(null, '', hash);
+        
+        const url = window.location.href;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url)
+                .then(() => this.showShareStatus('Link copied to clipboard'))
+                .catch(() => this.showShareStatus('Link is in the address bar'));
+        } else {
+            this.showShareStatus('Link is in the address bar');
+        }
+    }
+    
+    exportJson() {
+        this.download(new Blob([JSON.stringify(this.createDocument(), null, 2)], { type: 'application/json' }), 'bloch-sphere.json');
+    }
+    
+    // Save a Blob through a temporary download link
+    download(blob, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    loadExerciseFile(file) {
+        file.text()
+            .then(text => this.startExercises(Exercises.parseProblemSet(text)))
+            .catch(err => this.showExerciseStatus(`Could not load ${file.name}: ${err.message}`, true));
+    }
+    
+    // Enter exercise mode with a parsed problem set (see Exercises.parseProblemSet)
+    startExercises(set) {
+        // Nothing but the allowed gates may move the state from here on
+        this.pauseSequence();
+        this.pauseEvolution();
+        this.exercise.set = set;
+        this.exercise.results = set.problems.map(() => ({ points: 0, solved: false, hints: 0, counts: null }));
+        this.lockForExercise(true);
+        this.root.getElementById('exercise-problem').hidden = false;
+        this.root.getElementById('exercise-leave').disabled = false;
+        this.showProblem(0);
+        this.showExerciseStatus(`${set.title}: ${set.problems.length} problem(s)`);
+    }
+    
+    leaveExercises() {
+        if (!this.exercise.set) return;
+        const score = this.exerciseScore();
+        this.exercise.set = null;
+        this.lockForExercise(false);
+        if (this.exercise.ghost) this.exercise.ghost.visible = false;
+        this.root.getElementById('exercise-problem').hidden = true;
+        this.root.getElementById('exercise-leave').disabled = true;
+        this.showExerciseStatus(`Left the exercises with ${score.points} of ${score.possible} points`);
+    }
+    
+    // While an exercise runs, only the allowed gate buttons may change the state
+    lockForExercise(locked) {
+        this.root.querySelectorAll('.control-section').forEach(section => {
+            const off = locked && !EXERCISE_PANELS.includes(section.dataset.panel);
+            section.inert = off;
+            section.classList.toggle('exercise-locked', off);
+        });
+        if (!locked) {
+            this.root.querySelectorAll('.gate-btn').forEach(btn => {
+                btn.disabled = false;
+            });
+        }
+    }
+    
+    showProblem(index) {
+        const { set, results } = this.exercise;
+        if (!set || index < 0 || index >= set.problems.length) return;
+        const problem = set.problems[index];
+        this.exercise.index = index;
+        this.exercise.moves = 0;
+        
+        this.root.querySelectorAll('.gate-btn').forEach(btn => {
+            btn.disabled = !problem.gates.includes(btn.dataset.gate);
+        });
+        this.root.getElementById('exercise-title').textContent = `${index + 1}/${set.problems.length} · ${problem.title}`;
+        this.root.getElementById('exercise-description').textContent = problem.description;
+        this.root.getElementById('exercise-prev').disabled = index === 0;
+        this.root.getElementById('exercise-next').disabled = index === set.problems.length - 1;
+        
+        // Hidden targets stay hidden until solved
+        const hidden = problem.show === 'statistics';
+        this.showExerciseGhost(hidden && !results[index].solved ? null : problem.target);
+        this.renderExerciseStatistics(hidden ? problem : null);
+        this.renderExerciseHints();
+        
+        this.setState(problem.start, { label: `Exercise: ${problem.title}` });
+        this.updateExerciseRules();
+        this.updateExerciseScore();
+        this.showExerciseStatus('');
+    }
+    
+    exerciseGate(gate, params) {
+        const problem = this.exercise.set.problems[this.exercise.index];
+        if (!problem.gates.includes(gate)) return;
+        if (problem.maxSteps !== null && this.exercise.moves >= problem.maxSteps) {
+            this.showExerciseStatus('No moves left: ✔ Check your answer or ↺ start again', true);
+            return;
+        }
+        this.exercise.moves++;
+        this.applyQuantumGate(gate, params);
+        this.updateExerciseRules();
+    }
+    
+    checkExercise() {
+        if (!this.exercise.set) return;
+        if (this.isAnimating) {
+            // Grade where the last gate lands, not somewhere along the way
+            this.animationQueue.push(() => this.checkExercise());
+            return;
+        }
+        
+        const { set, index, results } = this.exercise;
+        const problem = set.problems[index];
+        const result = results[index];
+        const { fidelity, solved, points } = Exercises.grade(problem, this.getState(), result.hints);
+        result.points = Math.max(result.points, points);
+        result.solved = result.solved || solved;
+        
+        if (solved) {
+            this.showExerciseGhost(problem.target);
+            this.showExerciseStatus(`F = ${fidelity.toFixed(4)}: solved! ${points} points`);
+        } else {
+            this.showExerciseStatus(`F = ${fidelity.toFixed(4)}: not there yet, F ≥ ${(1 - problem.tolerance).toFixed(3)} needed`, true);
+        }
+        this.updateExerciseScore();
+        this.emit('exercisechecked', { index, title: problem.title, fidelity, solved, points, score: this.exerciseScore() });
+    }
+    
+    // Each hint shown costs 10 points off a later solution
+    showExerciseHint() {
+        const { set, index, results } = this.exercise;
+        const problem = set.problems[index];
+        const result = results[index];
+        if (result.hints >= problem.hints.length) {
+            this.showExerciseStatus(problem.hints.length ? 'No more hints for this problem' : 'This problem has no hints');
+            return;
+        }
+        result.hints++;
+        this.renderExerciseHints();
+        this.showExerciseStatus(`Hint ${result.hints} of ${problem.hints.length} (−10 points)`);
+    }
+    
+    renderExerciseHints() {
+        const { set, index, results } = this.exercise;
+        const list = this.root.getElementById('exercise-hints');
+        list.innerHTML = '';
+        set.problems[index].hints.slice(0, results[index].hints).forEach(hint => {
+            const item = document.createElement('li');
+            item.textContent = hint;
+            list.appendChild(item);
+        });
+    }
+    
+    // What a hidden target shows instead: outcome frequencies in the X, Y and Z bases
+    renderExerciseStatistics(problem) {
+        const table = this.root.getElementById('exercise-statistics');
+        table.hidden = !problem;
+        if (!problem) return;
+        
+        const result = this.exercise.results[this.exercise.index];
+        const r = problem.target.blochVector();
+        // Simulated once per problem, so restarting doesn't deal out fresh data
+        if (problem.shots && !result.counts) result.counts = Tomography.simulate(r, problem.shots);
+        
+        table.innerHTML = '';
+        const header = document.createElement('tr');
+        header.innerHTML = `<th>Basis</th><th>+</th><th>−</th><th>${problem.shots ? 'Shots' : ''}</th>`;
+        table.appendChild(header);
+        ['z', 'x', 'y'].forEach(basis => {
+            const labels = Measurement.outcomeLabels(basis);
+            const n = Measurement.bases[basis];
+            const direction = {
+                x: Math.sin(n.theta) * Math.cos(n.phi),
+                y: Math.sin(n.theta) * Math.sin(n.phi),
+                z: Math.cos(n.theta)
+            };
+            const counts = result.counts && result.counts[basis];
+            const plus = counts ? counts.plus / problem.shots : Measurement.probabilities(r, direction).plus;
+            
+            const row = document.createElement('tr');
+            [
+                basis.toUpperCase(),
+                `${labels.plus} ${(plus * 100).toFixed(1)}%`,
+                `${labels.minus} ${((1 - plus) * 100).toFixed(1)}%`,
+                counts ? `${counts.plus}/${problem.shots}` : ''
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    }
+    
+    showExerciseGhost(target) {
+        if (!target) {
+            if (this.exercise.ghost) this.exercise.ghost.visible = false;
+            return;
+        }
+        if (!this.exercise.ghost) {
+            const material = new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3, depthWrite: false });
+            this.exercise.ghost = this.createArrow(material);
+            this.scene.add(this.exercise.ghost);
+        }
+        const { x, y, z } = target.blochVector();
+        this.setArrowVector(this.exercise.ghost, new THREE.Vector3(x, y, z));
+        this.exercise.ghost.visible = true;
+    }
+    
+    updateExerciseRules() {
+        const problem = this.exercise.set.problems[this.exercise.index];
+        const gates = problem.gates.map(gate => QuantumGates.definitions[gate].label).join(', ');
+        const moves = `${this.exercise.moves}/${problem.maxSteps === null ? '∞' : problem.maxSteps}`;
+        this.root.getElementById('exercise-rules').textContent =
+            `Gates: ${gates} · Moves: ${moves} · Goal: F ≥ ${(1 - problem.tolerance).toFixed(3)}`;
+    }
+    
+    exerciseScore() {
+        const { set, results } = this.exercise;
+        return {
+            points: results.reduce((sum, result) => sum + result.points, 0),
+            possible: 100 * set.problems.length,
+            solved: results.filter(result => result.solved).length
+        };
+    }
+    
+    updateExerciseScore() {
+        const { points, possible, solved } = this.exerciseScore();
+        this.root.getElementById('exercise-score').textContent =
+            `Score ${points}/${possible} · ${solved} of ${this.exercise.set.problems.length} solved`;
+    }
+    
+    showExerciseStatus(message, isError = false) {
+        const status = this.root.getElementById('exercise-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    // State chosen in the Compare panel; throws ValidationError
+    readPinSource() {
+        const source = this.root.getElementById('pin-source').value;
+        if (source === 'current') return this.getState();
+        if (PRESET_STATES[source]) return QubitState.fromAngles(PRESET_STATES[source].theta, PRESET_STATES[source].phi);
+        return QubitState.fromAmplitudes(this.readExpression('pin-alpha', 'α'), this.readExpression('pin-beta', 'β'));
+    }
+    
+    // Keep a state on the sphere as its own coloured, labelled arrow
+    pinState() {
+        let state;
+        try {
+            state = this.readPinSource();
+        } catch (err) {
+            if (!(err instanceof ValidationError)) throw err;
+            this.showCompareStatus(err.message, true);
+            return;
+        }
+        
+        const comparison = this.comparison;
+        comparison.count++;
+        const source = this.root.getElementById('pin-source').value;
+        const nameInput = this.root.getElementById('pin-name');
+        const name = nameInput.value.trim() || (PRESET_STATES[source] ? PRESET_STATES[source].label : `ψ${comparison.count}`);
+        nameInput.value = '';
+        const color = PIN_COLORS[(comparison.count - 1) % PIN_COLORS.length];
+        
+        const { x, y, z } = state.blochVector();
+        const v = new THREE.Vector3(x, y, z);
+        const arrow = this.createArrow(new THREE.MeshPhongMaterial({ color, transparent: true, opacity: 0.85 }));
+        this.setArrowVector(arrow, v);
+        
+        // Just beyond the tip; a maximally mixed state gets its label above the centre
+        const label = this.createTextSprite(name, color, 64, 256);
+        label.scale.set(0.6, 0.15, 1);
+        const r = v.length();
+        label.position.copy(this.blochToScene(r > 1e-9 ? v.multiplyScalar((r + 0.2) / r) : new THREE.Vector3(0, 0, 0.2)));
+        
+        this.scene.add(arrow, label);
+        const pin = { name, state, color, arrow, label };
+        comparison.pinned.push(pin);
+        
+        // Pin now, change the state, compare: start with the arc to the live state
+        comparison.pair = [pin, null];
+        this.renderPinList();
+        this.renderComparison();
+        this.showCompareStatus(`Pinned ${name}`);
+    }
+    
+    unpinState(index) {
+        const comparison = this.comparison;
+        const [pin] = comparison.pinned.splice(index, 1);
+        if (!pin) return;
+        
+        this.scene.remove(pin.arrow, pin.label);
+        pin.arrow.children.forEach(mesh => mesh.geometry.dispose());
+        pin.arrow.userData.shaft.material.dispose();
+        pin.label.material.map.dispose();
+        pin.label.material.dispose();
+        
+        if (comparison.pair && comparison.pair.includes(pin)) comparison.pair = null;
+        this.renderPinList();
+        this.renderComparison();
+        this.showCompareStatus(`Unpinned ${pin.name}`);
+    }
+    
+    // The live state first, then the pins in order
+    comparisonEntries() {
+        return [
+            { name: 'Current', state: this.getState(), pin: null },
+            ...this.comparison.pinned.map(pin => ({ name: pin.name, state: pin.state, pin }))
+        ];
+    }
+    
+    // Indices into comparisonEntries(); choosing the drawn pair again hides its arc
+    selectComparisonPair([i, j]) {
+        const entries = this.comparisonEntries();
+        const [a, b] = [entries[i].pin, entries[j].pin];
+        const { pair } = this.comparison;
+        this.comparison.pair = pair && pair.includes(a) && pair.includes(b) ? null : [a, b];
+        this.renderComparison();
+    }
+    
+    renderPinList() {
+        const list = this.root.getElementById('pin-list');
+        list.innerHTML = '';
+        this.comparison.pinned.forEach((pin, i) => {
+            const item = document.createElement('div');
+            item.className = 'pin-item';
             
-            this.theta = startTheta + (targetTheta - startTheta) * eased;
-            this.phi = startPhi + (targetPhi - startPhi) * eased;
+            const swatch = document.createElement('span');
+            swatch.className = 'pin-swatch';
+            swatch.style.background = pin.color;
             
-            this.updateQuantumState();
-            this.updateSliders();
+            const { theta, phi, radius } = pin.state.angles();
+            const text = document.createElement('span');
+            text.textContent = `${pin.name}: ${this.formatAngles({ theta, phi })}` +
+                (pin.state.isPure() ? '' : `, r = ${radius.toFixed(3)}`);
             
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                this.isAnimating = false;
+            const remove = document.createElement('button');
+            remove.className = 'seq-btn pin-remove';
+            remove.dataset.index = i;
+            remove.title = `Unpin ${pin.name}`;
+            remove.textContent = '✕';
+            
+            item.append(swatch, text, remove);
+            list.appendChild(item);
+        });
+    }
+    
+    // Pairwise fidelity, trace distance and Bloch vector angle, live state included
+    renderComparison() {
+        const entries = this.comparisonEntries();
+        const { pair } = this.comparison;
+        const table = this.root.getElementById('compare-table');
+        table.hidden = entries.length < 2;
+        table.innerHTML = '<tr><th>Pair</th><th>F</th><th>D</th><th>∠</th></tr>';
+        
+        entries.forEach((a, i) => {
+            entries.slice(i + 1).forEach((b, k) => {
+                const angle = a.state.blochAngle(b.state);
+                const row = document.createElement('tr');
+                row.dataset.pair = `${i},${i + 1 + k}`;
+                row.title = 'Click to draw the arc between these states';
+                if (pair && pair.includes(a.pin) && pair.includes(b.pin)) row.classList.add('current');
+                [
+                    `${a.name} – ${b.name}`,
+                    a.state.fidelity(b.state).toFixed(4),
+                    a.state.traceDistance(b.state).toFixed(4),
+                    angle === null ? '—' : `${(angle * 180 / Math.PI).toFixed(1)}°`
+                ].forEach(value => {
+                    const cell = document.createElement('td');
+                    cell.textContent = value;
+                    row.appendChild(cell);
+                });
+                table.appendChild(row);
+            });
+        });
+        
+        this.updateComparisonArc();
+    }
+    
+    updateComparisonArc() {
+        const comparison = this.comparison;
+        if (!comparison.pair) {
+            if (comparison.arc) comparison.arc.visible = false;
+            return;
+        }
+        
+        if (!comparison.arc) {
+            const material = new THREE.LineDashedMaterial({ color: 0xe2e8f0, dashSize: 0.06, gapSize: 0.04 });
+            comparison.arc = this.createDynamicLine(material, 97);
+            this.scene.add(comparison.arc);
+        }
+        const [a, b] = comparison.pair.map(pin => {
+            const { x, y, z } = (pin ? pin.state : this.getState()).blochVector();
+            return new THREE.Vector3(x, y, z);
+        });
+        this.setLinePoints(comparison.arc, this.blochCurve(this.geodesic(a, b), 96));
+        comparison.arc.visible = true;
+    }
+    
+    // Great-circle path from Bloch vector a to b, t from 0 to 1. The length is
+    // blended so mixed states' arcs still end at the arrow tips.
+    geodesic(a, b) {
+        const [ra, rb] = [a.length(), b.length()];
+        if (ra < 1e-9 || rb < 1e-9) return t => a.clone().lerp(b, t);
+        
+        const from = a.clone().normalize();
+        const angle = from.angleTo(b);
+        const axis = from.clone().cross(b);
+        if (axis.length() < 1e-9) {
+            // Parallel or opposite: every great circle through both will do
+            axis.crossVectors(from, Math.abs(from.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0));
+        }
+        axis.normalize();
+        return t => from.clone().applyAxisAngle(axis, angle * t).multiplyScalar(ra + (rb - ra) * t);
+    }
+    
+    showCompareStatus(message, isError = false) {
+        const status = this.root.getElementById('compare-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    // Width × height from the Export panel, or null (with a message) when out of range
+    readExportSize() {
+        const limit = Math.min(8192, this.renderer.capabilities ? this.renderer.capabilities.maxTextureSize : 8192);
+        const width = Number(this.root.getElementById('export-width').value);
+        const height = Number(this.root.getElementById('export-height').value);
+        if (![width, height].every(n => Number.isInteger(n) && n >= 16 && n <= limit)) {
+            this.showExportStatus(`Width and height must be whole numbers from 16 to ${limit}`, true);
+            return null;
+        }
+        return { width, height };
+    }
+    
+    // Run draw() with the camera framed for width × height and, if asked, no
+    // background, then put the live view back
+    withExportView(width, height, transparent, draw) {
+        const { scene, camera } = this;
+        const background = scene.background;
+        const aspect = camera.aspect;
+        if (transparent) scene.background = null;
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        try {
+            return draw();
+        } finally {
+            scene.background = background;
+            camera.aspect = aspect;
+            camera.updateProjectionMatrix();
+        }
+    }
+    
+    // The current view re-rendered at the chosen resolution
+    exportPng() {
+        const size = this.readExportSize();
+        if (!size) return;
+        const transparent = this.root.getElementById('export-transparent').checked;
+        const { renderer } = this;
+        const previous = renderer.getSize(new THREE.Vector2());
+        const pixelRatio = renderer.getPixelRatio();
+        
+        this.withExportView(size.width, size.height, transparent, () => {
+            renderer.setPixelRatio(1);
+            renderer.setSize(size.width, size.height, false);
+            renderer.render(this.scene, this.camera);
+            // toBlob copies the pixels now, so the view can be restored straight after
+            renderer.domElement.toBlob(blob => {
+                if (!blob) {
+                    this.showExportStatus(`The browser could not encode a ${size.width}×${size.height} PNG`, true);
+                    return;
+                }
+                this.download(blob, 'bloch-sphere.png');
+                this.showExportStatus(`Saved ${size.width}×${size.height} bloch-sphere.png`);
+            }, 'image/png');
+        });
+        
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(previous.x, previous.y);
+        renderer.render(this.scene, this.camera);
+    }
+    
+    // Vector version of the view, drawn by the Canvas 2D fallback's painter into SVG
+    exportSvg() {
+        const size = this.readExportSize();
+        if (!size) return;
+        const transparent = this.root.getElementById('export-transparent').checked;
+        const svg = this.withExportView(size.width, size.height, transparent, () =>
+            new CanvasSceneRenderer().renderSVG(this.scene, this.camera, size.width, size.height));
+        this.download(new Blob([svg], { type: 'image/svg+xml' }), 'bloch-sphere.svg');
+        this.showExportStatus(`Saved ${size.width}×${size.height} bloch-sphere.svg`);
+    }
+    
+    // Record the view as WebM (MediaRecorder) or GIF. The gate sequence is played from
+    // the start and the evolution run; either recording ends shortly after they stop.
+    startRecording() {
+        const format = this.root.getElementById('record-format').value;
+        const source = this.root.getElementById('record-source').value;
+        const seconds = Math.min(120, Math.max(1, parseFloat(this.root.getElementById('record-seconds').value) || 10));
+        // Both would move the state past an exercise's gate list and move limit
+        if (this.exercise.set && source !== 'view') {
+            this.showExportStatus('During an exercise only "View, until stopped" can be recorded', true);
+            return;
+        }
+        if (source === 'sequence' && !this.sequence.length) {
+            this.showExportStatus('The gate sequence is empty: add gates in the Gate Sequence panel first', true);
+            return;
+        }
+        
+        const canvas = this.renderer.domElement;
+        const recording = { format, source, limit: seconds * 1000, started: performance.now(), idleSince: null };
+        if (format === 'webm') {
+            const mimeType = typeof MediaRecorder !== 'undefined' && canvas.captureStream &&
+                ['video/webm;codecs=vp9', 'video/webm'].find(type => MediaRecorder.isTypeSupported(type));
+            if (!mimeType) {
+                this.showExportStatus('This browser cannot record WebM video; choose GIF instead', true);
+                return;
             }
-        };
+            recording.chunks = [];
+            recording.recorder = new MediaRecorder(canvas.captureStream(30), { mimeType });
+            recording.recorder.ondataavailable = (e) => {
+                if (e.data.size) recording.chunks.push(e.data);
+            };
+            recording.recorder.onstop = () => {
+                this.download(new Blob(recording.chunks, { type: 'video/webm' }), 'bloch-sphere.webm');
+            };
+            recording.recorder.start();
+        } else {
+            const scale = Math.min(1, this.gifMaxWidth / canvas.width);
+            recording.width = Math.max(1, Math.round(canvas.width * scale));
+            recording.height = Math.max(1, Math.round(canvas.height * scale));
+            recording.canvas = document.createElement('canvas');
+            recording.canvas.width = recording.width;
+            recording.canvas.height = recording.height;
+            recording.context = recording.canvas.getContext('2d', { willReadFrequently: true });
+            recording.frames = [];
+            recording.frameTimes = [];
+        }
+        this.recording = recording;
         
-        requestAnimationFrame(animate);
+        if (source === 'sequence') {
+            this.rewindSequence();
+            this.playSequence();
+        } else if (source === 'evolution' && !this.evolution.running) {
+            this.playEvolution();
+        }
+        this.root.getElementById('record-btn').textContent = '⏹ Stop recording';
+        this.showExportStatus(`Recording ${format.toUpperCase()}… (at most ${seconds} s)`);
     }
     
-    updateSliders() {
-        const thetaDegrees = (this.theta * 180) / Math.PI;
-        const phiDegrees = (this.phi * 180) / Math.PI;
+    // Called after every render while recording
+    recordFrame() {
+        const recording = this.recording;
+        const now = performance.now();
+        
+        const idle = (recording.source === 'sequence' && !this.sequencePlaying && !this.isAnimating) ||
+            (recording.source === 'evolution' && !this.evolution.running);
+        recording.idleSince = idle ? (recording.idleSince ?? now) : null;
+        if (now - recording.started >= recording.limit || (idle && now - recording.idleSince > 500)) {
+            this.stopRecording();
+            return;
+        }
         
-        document.getElementById('theta-slider').value = thetaDegrees;
-        document.getElementById('phi-slider').value = phiDegrees;
-        document.getElementById('theta-value').textContent = `${thetaDegrees.toFixed(0)}°`;
-        document.getElementById('phi-value').textContent = `${phiDegrees.toFixed(0)}°`;
+        if (recording.format !== 'gif') return;
+        const last = recording.frameTimes[recording.frameTimes.length - 1];
+        if (last !== undefined && now - last < this.gifFrameInterval) return;
+        
+        const { context, width, height } = recording;
+        context.drawImage(this.renderer.domElement, 0, 0, width, height);
+        recording.frames.push(GifEncoder.quantize(context.getImageData(0, 0, width, height).data));
+        recording.frameTimes.push(now);
+        if (recording.frames.length >= this.gifMaxFrames) this.stopRecording();
     }
     
-    performMeasurement() {
-        const measureBtn = document.getElementById('measure-btn');
-        measureBtn.classList.add('measuring');
+    stopRecording() {
+        const recording = this.recording;
+        if (!recording) return;
+        this.recording = null;
+        this.root.getElementById('record-btn').textContent = '⏺ Record';
+        if (recording.source === 'sequence') this.pauseSequence();
+        if (recording.source === 'evolution') this.pauseEvolution();
         
-        // Simulate measurement
+        if (recording.format === 'webm') {
+            recording.recorder.stop(); // onstop saves the file
+            this.showExportStatus('Saved bloch-sphere.webm');
+            return;
+        }
+        
+        const { frames, frameTimes, width, height } = recording;
+        if (!frames.length) {
+            this.showExportStatus('No frames were recorded', true);
+            return;
+        }
+        // Play back at the rate the frames were actually captured
+        const delay = frames.length > 1
+            ? (frameTimes[frameTimes.length - 1] - frameTimes[0]) / (frames.length - 1)
+            : this.gifFrameInterval;
+        
+        this.showExportStatus(`Encoding ${frames.length} frames…`);
         setTimeout(() => {
-            const prob0 = Math.cos(this.theta / 2) ** 2;
-            const measurement = Math.random() < prob0 ? 0 : 1;
-            
-            // Collapse to measured state
-            if (measurement === 0) {
-                this.animateToState(0, 0); // |0⟩
-            } else {
-                this.animateToState(Math.PI, 0); // |1⟩
+            if (this.disposed) return;
+            const gif = GifEncoder.encode(frames, width, height, delay);
+            this.download(new Blob([gif], { type: 'image/gif' }), 'bloch-sphere.gif');
+            this.showExportStatus(`Saved ${frames.length} frames (${width}×${height}) as bloch-sphere.gif`);
+        }, 20);
+    }
+    
+    // Append the current state to the exported trajectory if it has moved
+    recordTrajectoryPoint() {
+        const { x, y, z } = this.getState().blochVector();
+        const last = this.trajectory[this.trajectory.length - 1];
+        if (last && Math.abs(last.x - x) < 1e-12 && Math.abs(last.y - y) < 1e-12 && Math.abs(last.z - z) < 1e-12) return;
+        
+        this.trajectory.push({
+            time: (performance.now() - this.trajectoryStart) / 1000,
+            theta: this.theta,
+            phi: this.phi,
+            x, y, z,
+            p0: (1 + z) / 2,
+            p1: (1 - z) / 2
+        });
+        if (this.trajectory.length > this.trajectoryMaxPoints) this.trajectory.shift();
+    }
+    
+    // Start the trajectory afresh from the current state at time 0
+    clearTrajectory() {
+        this.trajectory = [];
+        this.trajectoryStart = performance.now();
+        this.recordTrajectoryPoint();
+        this.showExportStatus('Trajectory cleared');
+    }
+    
+    // CSV with a header row, or JSON with units; angles in radians, time in seconds
+    exportTrajectory(format) {
+        const columns = ['time', 'theta', 'phi', 'x', 'y', 'z', 'p0', 'p1'];
+        const round = value => +value.toFixed(6);
+        const points = this.trajectory;
+        
+        if (format === 'csv') {
+            const rows = points.map(point => columns.map(column => round(point[column])).join(','));
+            this.download(new Blob([[columns.join(','), ...rows].join('\n') + '\n'], { type: 'text/csv' }), 'bloch-trajectory.csv');
+        } else {
+            const doc = {
+                format: 'bloch-sphere-trajectory',
+                version: 1,
+                units: { time: 's', theta: 'rad', phi: 'rad' },
+                points: points.map(point => Object.fromEntries(columns.map(column => [column, round(point[column])])))
+            };
+            this.download(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), 'bloch-trajectory.json');
+        }
+        const duration = points.length ? points[points.length - 1].time - points[0].time : 0;
+        this.showExportStatus(`Saved ${points.length} points over ${duration.toFixed(1)} s`);
+    }
+    
+    showExportStatus(message, isError = false) {
+        const status = this.root.getElementById('export-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    importJson(file) {
+        file.text()
+            .then(text => {
+                this.applyDocument(Serialization.parseDocument(text));
+                this.showShareStatus(`Imported ${file.name}`);
+            })
+            .catch(err => this.showShareStatus(`Could not import ${file.name}: ${err.message}`, true));
+    }
+    
+    showShareStatus(message, isError = false) {
+        const status = this.root.getElementById('share-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+    
+    // Single-key shortcuts, listed in the #shortcut-help dialog. `inside` is
+    // false for keys a primary instance picks up elsewhere on the page.
+    handleShortcut(e, target, inside) {
+        const help = this.root.getElementById('shortcut-help');
+        if (!help.hidden) {
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.toggleShortcutHelp(false);
             }
-            
-            // Show measurement result
-            alert(`Measurement result: |${measurement}⟩`);
-            
-            measureBtn.classList.remove('measuring');
-        }, 1000);
+            return;
+        }
+        if (target.matches && target.matches('input, select, textarea, [contenteditable]')) return;
+        if (e.key === '?') {
+            e.preventDefault();
+            this.toggleShortcutHelp(true);
+            return;
+        }
+        
+        const key = e.key.toLowerCase();
+        const gate = { x: 'x', y: 'y', z: 'z', h: 'h', s: e.shiftKey ? 'sdg' : 's', t: e.shiftKey ? 'tdg' : 't' }[key];
+        if (gate) {
+            // Through the button, so exercises, sequence recording and two-qubit mode apply
+            e.preventDefault();
+            const button = this.root.querySelector(`.gate-btn[data-gate="${gate}"]`);
+            if (button && !button.disabled) button.click();
+            return;
+        }
+        
+        // The rest set the state directly, which an exercise doesn't allow
+        if (this.exercise.set) return;
+        const steps = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] }[e.key];
+        // Arrow keys only scroll the page unless they're meant for this sphere
+        if (steps && !this.twoQubit.enabled && (inside || target === document.body)) {
+            e.preventDefault();
+            const step = (e.shiftKey ? 15 : 5) * Math.PI / 180;
+            this.nudgeState(steps[0] * step, steps[1] * step);
+        } else if (key === 'm') {
+            e.preventDefault();
+            this.root.getElementById(this.twoQubit.enabled ? 'two-qubit-measure' : 'measure-btn').click();
+        } else if (key === 'r') {
+            e.preventDefault();
+            this.resetState();
+        } else if (/^[1-9]$/.test(e.key)) {
+            const presets = this.root.querySelectorAll(this.twoQubit.enabled ? '.two-qubit-preset-btn' : '.preset-btn');
+            const button = presets[parseInt(e.key, 10) - 1];
+            if (button) {
+                e.preventDefault();
+                button.click();
+            }
+        }
     }
     
-    resetState() {
-        this.animateToState(0, 0); // Reset to |0⟩ state
+    // Arrow-key steps; like a slider drag, a run of them is one history entry
+    nudgeState(dTheta, dPhi) {
+        if (this.isAnimating) {
+            // Step from wherever the running animation lands, as gate clicks do
+            this.animationQueue.push(() => this.nudgeState(dTheta, dPhi));
+            return;
+        }
+        this.theta = Math.max(0, Math.min(Math.PI, this.theta + dTheta));
+        this.phi = ((this.phi + dPhi) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        this.updateQuantumState();
+        this.updateSliders();
+        this.startGateLog(this.theta, this.phi, this.radius);
+        
+        clearTimeout(this.nudgeTimer);
+        this.nudgeTimer = setTimeout(() => this.recordHistory(this.formatAngles(this), this), 500);
     }
     
-    toggleAxesVisibility(visible) {
-        this.axes.forEach(axis => {
-            axis.visible = visible;
-        });
-        // Toggle label sprites alongside axes
-        if (this.labels && this.labels.length) {
-            this.labels.forEach(lbl => lbl.visible = visible);
+    toggleShortcutHelp(open) {
+        const help = this.root.getElementById('shortcut-help');
+        if (open === !help.hidden) return;
+        help.hidden = !open;
+        if (open) {
+            // Hand focus back to wherever it was when the list closes
+            this.shortcutReturnFocus = this.root.activeElement || document.activeElement;
+            this.root.getElementById('shortcut-help-close').focus();
+        } else if (this.shortcutReturnFocus) {
+            this.shortcutReturnFocus.focus();
+            this.shortcutReturnFocus = null;
         }
     }
     
-    toggleSphereVisibility(visible) {
-        this.sphere.visible = visible;
+    bindPresetButton(btn) {
+        btn.addEventListener('click', () => {
+            this.setPresetState(btn.dataset.state);
+            this.animateButton(btn);
+        });
+    }
+    
+    bindGateButton(btn) {
+        btn.addEventListener('click', () => {
+            const gate = btn.dataset.gate;
+            if (this.exercise.set) {
+                this.exerciseGate(gate, this.readGateParams(gate));
+            } else if (this.twoQubit.enabled) {
+                this.applyTwoQubitLocalGate(gate, this.readGateParams(gate), this.twoQubit.target);
+            } else if (this.root.getElementById('record-sequence').checked) {
+                this.addToSequence(gate, this.readGateParams(gate));
+            } else {
+                this.applyQuantumGate(gate, this.readGateParams(gate));
+            }
+            this.animateButton(btn);
+        });
+    }
+    
+    bindNoiseButton(btn) {
+        btn.addEventListener('click', () => {
+            this.applyNoiseChannel(btn.dataset.channel, parseFloat(this.root.getElementById('noise-strength').value));
+            this.animateButton(btn);
+        });
+    }
+    
+    // Button (and for presets, target/pin choices) for a registered plugin
+    addPluginButton(kind, { name, label, color = null }) {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        
+        if (kind === 'gates') {
+            btn.className = 'gate-btn plugin-btn';
+            btn.dataset.gate = name;
+            if (color) btn.style.setProperty('--plugin-color', color);
+            if (this.exercise.set) {
+                btn.disabled = !this.exercise.set.problems[this.exercise.index].gates.includes(name);
+            }
+            const container = this.root.getElementById('custom-gates');
+            container.append(btn);
+            container.hidden = false;
+            this.bindGateButton(btn);
+        } else if (kind === 'presets') {
+            btn.className = 'preset-btn plugin-btn';
+            btn.dataset.state = name;
+            btn.setAttribute('aria-label', this.spokenLabel(label));
+            this.root.querySelector('.preset-buttons').append(btn);
+            this.bindPresetButton(btn);
+            ['synth-target', 'pin-source'].forEach(id => {
+                const select = this.root.getElementById(id);
+                select.insertBefore(new Option(label, name), select.querySelector('option[value="amplitudes"]'));
+            });
+        } else {
+            btn.className = 'noise-btn plugin-btn';
+            btn.dataset.channel = name;
+            this.root.querySelector('.noise-buttons').append(btn);
+            this.bindNoiseButton(btn);
+        }
     }
     
     animateButton(button) {
@@ -557,50 +4058,94 @@ class BlochSphereVisualizer {
     }
     
     animate() {
-        requestAnimationFrame(() => this.animate());
+        if (this.disposed) return;
+        this.frameId = requestAnimationFrame(() => this.animate());
         
         this.controls.update();
+        if (this.evolution.running) this.stepEvolution();
+        if (this.trailPoints.length) this.updateTrail();
         this.renderer.render(this.scene, this.camera);
+        if (this.recording) this.recordFrame();
     }
     
     onWindowResize() {
-        const container = document.getElementById('three-container');
+        const container = this.root.getElementById('three-container');
         const width = container.offsetWidth;
         const height = container.offsetHeight;
+        if (!width || !height) return; // hidden, e.g. inside a collapsed section
         
         this.camera.aspect = width / height;
         this.camera.updateProjectionMatrix();
         this.renderer.setSize(width, height);
-    }
-}
-
-// Simple Complex number class for calculations
-class Complex {
-    constructor(real, imag) {
-        this.real = real;
-        this.imag = imag;
+        this.drawBlochMap(); // the panel beside the view may have changed width too
     }
     
-    static exp(z) {
-        const r = Math.exp(z.real);
-        return new Complex(r * Math.cos(z.imag), r * Math.sin(z.imag));
+    // Point the state somewhere directly: a QubitState, { theta, phi[, radius] } or { x, y, z }
+    setState(state, { animate = true, label = 'Set state' } = {}) {
+        let qubit = state;
+        if (!(state instanceof QubitState)) {
+            if (state && ['x', 'y', 'z'].every(k => Number.isFinite(state[k]))) {
+                qubit = new QubitState(state.x, state.y, state.z);
+            } else if (state && Number.isFinite(state.theta) && Number.isFinite(state.phi)) {
+                qubit = QubitState.fromAngles(state.theta, state.phi, state.radius ?? 1);
+            } else {
+                throw new ValidationError('expected a QubitState, { theta, phi } or { x, y, z }');
+            }
+        }
+        if (qubit.radius() > 1 + 1e-9) {
+            throw new ValidationError('the Bloch vector must have length ≤ 1');
+        }
+        
+        if (this.isAnimating) {
+            this.animationQueue.push(() => this.setState(qubit, { animate, label }));
+            return;
+        }
+        
+        const { theta, phi, radius } = qubit.angles();
+        if (animate) {
+            this.animateToState(theta, phi, 1000, radius);
+        } else {
+            Object.assign(this, { theta, phi, radius });
+            this.updateQuantumState();
+            this.updateSliders();
+        }
+        this.startGateLog(theta, phi, radius);
+        this.recordHistory(label, { theta, phi, radius });
     }
     
-    // multiply by another complex
-    mul(other) {
-        return new Complex(
-            this.real * other.real - this.imag * other.imag,
-            this.real * other.imag + this.imag * other.real
-        );
-    }
-
-    // scale by real
-    scale(s) {
-        return new Complex(this.real * s, this.imag * s);
+    // Stop rendering and release the WebGL context, observers and page-level listeners
+    dispose() {
+        if (this.disposed) return;
+        this.disposed = true;
+        VISUALIZERS.delete(this);
+        
+        cancelAnimationFrame(this.frameId);
+        clearTimeout(this.measureTimer);
+        clearTimeout(this.announceTimer);
+        clearTimeout(this.nudgeTimer);
+        this.pauseSequence();
+        this.evolution.running = false;
+        this.animationQueue = [];
+        if (this.recording && this.recording.recorder) {
+            this.recording.recorder.onstop = null; // no download from a torn-down view
+            this.recording.recorder.stop();
+        }
+        this.recording = null;
+        
+        this.listeners.forEach(([target, type, handler]) => target.removeEventListener(type, handler));
+        this.listeners = [];
+        this.resizeObserver.disconnect();
+        this.controls.dispose();
+        
+        this.scene.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            [].concat(object.material || []).forEach(material => {
+                if (material.map) material.map.dispose();
+                material.dispose();
+            });
+        });
+        this.renderer.dispose();
+        this.renderer.forceContextLoss();
+        this.renderer.domElement.remove();
     }
 }
-
-// Initialize the visualizer when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new BlochSphereVisualizer();
-});
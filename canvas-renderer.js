@@ -0,0 +1,485 @@
+/**
+ * Canvas 2D stand-in for THREE.WebGLRenderer, for machines without WebGL
+ * (locked-down lab PCs, remote desktops, software-only headless browsers).
+ *
+ * It draws the parts of three.js the visualizer builds its scene from:
+ * lines (solid, dashed and vertex-coloured), sphere meshes as shaded discs,
+ * wireframes as edges, other meshes as depth-sorted flat-shaded triangles,
+ * and sprite labels. Only the renderer API the visualizer calls is provided.
+ * OrbitControls and raycasting don't depend on the renderer and work as usual.
+ */
+class CanvasSceneRenderer {
+    constructor() {
+        this.domElement = document.createElement('canvas');
+        this.context = this.domElement.getContext('2d');
+        this.shadowMap = { enabled: false, type: null }; // accepted for compatibility, ignored
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = window.devicePixelRatio || 1;
+        
+        // Same direction as the scene's main directional light
+        this.light = new THREE.Vector3(5, 5, 5).normalize();
+        this.edgeCache = new WeakMap(); // geometry -> unique [a, b] vertex index pairs
+    }
+    
+    setSize(width, height, updateStyle = true) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.round(width * this.pixelRatio);
+        this.domElement.height = Math.round(height * this.pixelRatio);
+        if (updateStyle) {
+            this.domElement.style.width = `${width}px`;
+            this.domElement.style.height = `${height}px`;
+        }
+    }
+    
+    getSize(target) {
+        return target.set(this.width, this.height);
+    }
+    
+    getPixelRatio() {
+        return this.pixelRatio;
+    }
+    
+    setPixelRatio(ratio) {
+        this.pixelRatio = ratio;
+        this.setSize(this.width, this.height, false);
+    }
+    
+    render(scene, camera) {
+        if (!this.width || !this.height) return; // hidden container
+        this.context.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        this.draw(scene, camera, this.context);
+    }
+    
+    // The same picture as an SVG document, for figures that must stay sharp in print.
+    // Its size needn't match the canvas, which is left untouched.
+    renderSVG(scene, camera, width = this.width, height = this.height) {
+        const size = { width: this.width, height: this.height };
+        Object.assign(this, { width, height });
+        try {
+            const ctx = new SvgContext(width, height);
+            this.draw(scene, camera, ctx);
+            return ctx.toString();
+        } finally {
+            Object.assign(this, size);
+        }
+    }
+    
+    // Paint the scene onto a Canvas 2D context (or an SvgContext) in CSS pixels
+    draw(scene, camera, ctx) {
+        scene.updateMatrixWorld();
+        if (camera.parent === null) camera.updateMatrixWorld();
+        
+        ctx.globalAlpha = 1;
+        if (scene.background && scene.background.isColor) {
+            ctx.fillStyle = scene.background.getStyle();
+            ctx.fillRect(0, 0, this.width, this.height);
+        } else {
+            ctx.clearRect(0, 0, this.width, this.height);
+        }
+        
+        // Painter's algorithm: everything is drawn far to near, then the
+        // sprites that ignore depth (axis labels) on top
+        const items = [];
+        const overlays = [];
+        scene.traverseVisible(object => {
+            if (object.isSprite) {
+                this.collectSprite(object, camera, object.material.depthTest === false ? overlays : items);
+            } else if (object.isLine) {
+                this.collectLine(object, camera, items);
+            } else if (object.isMesh) {
+                this.collectMesh(object, camera, items);
+            }
+        });
+        
+        items.sort((a, b) => b.distance - a.distance);
+        items.concat(overlays).forEach(item => {
+            ctx.save();
+            item.draw(ctx);
+            ctx.restore();
+        });
+    }
+    
+    // Nothing to release: there is no GPU context
+    dispose() {}
+    
+    forceContextLoss() {}
+    
+    // World point -> CSS pixel position and distance in front of the camera
+    project(point, camera) {
+        const view = point.clone().applyMatrix4(camera.matrixWorldInverse);
+        const ndc = view.clone().applyMatrix4(camera.projectionMatrix);
+        return {
+            x: (ndc.x + 1) / 2 * this.width,
+            y: (1 - ndc.y) / 2 * this.height,
+            distance: -view.z
+        };
+    }
+    
+    // CSS pixels per world unit at `distance` from a perspective camera
+    pixelsPerUnit(distance, camera) {
+        return this.height / (2 * Math.tan(camera.fov * Math.PI / 360) * distance) * camera.zoom;
+    }
+    
+    opacity(material) {
+        return material.transparent ? material.opacity : 1;
+    }
+    
+    collectLine(line, camera, items) {
+        const { geometry, material } = line;
+        const position = geometry.attributes.position;
+        const start = geometry.drawRange.start;
+        const end = Math.min(position.count, start + geometry.drawRange.count);
+        if (end - start < 2) return;
+        
+        const points = [];
+        for (let i = start; i < end; i++) {
+            points.push(this.project(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(line.matrixWorld), camera));
+        }
+        if (points.some(p => p.distance <= 0)) return;
+        
+        const distance = points.reduce((sum, p) => sum + p.distance, 0) / points.length;
+        const colors = material.vertexColors && geometry.attributes.color;
+        
+        items.push({
+            distance,
+            draw: ctx => {
+                ctx.globalAlpha = this.opacity(material);
+                ctx.lineWidth = 1.5;
+                if (material.isLineDashedMaterial) {
+                    const scale = this.pixelsPerUnit(distance, camera);
+                    ctx.setLineDash([material.dashSize * scale, material.gapSize * scale]);
+                }
+                
+                if (colors) {
+                    // One segment per vertex pair, coloured by its newer end
+                    for (let i = 1; i < points.length; i++) {
+                        ctx.strokeStyle = new THREE.Color().fromBufferAttribute(colors, start + i).getStyle();
+                        ctx.beginPath();
+                        ctx.moveTo(points[i - 1].x, points[i - 1].y);
+                        ctx.lineTo(points[i].x, points[i].y);
+                        ctx.stroke();
+                    }
+                    return;
+                }
+                
+                ctx.strokeStyle = material.color.getStyle();
+                ctx.beginPath();
+                points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+                ctx.stroke();
+            }
+        });
+    }
+    
+    collectMesh(mesh, camera, items) {
+        const { geometry, material } = mesh;
+        if (material.wireframe) {
+            this.collectWireframe(mesh, camera, items);
+        } else if (geometry.type === 'SphereGeometry') {
+            this.collectDisc(mesh, camera, items);
+        } else {
+            this.collectTriangles(mesh, camera, items);
+        }
+    }
+    
+    // A sphere always projects to (nearly) a circle; shade it like a lit ball
+    collectDisc(mesh, camera, items) {
+        const { geometry, material } = mesh;
+        const center = new THREE.Vector3().setFromMatrixPosition(mesh.matrixWorld);
+        const p = this.project(center, camera);
+        if (p.distance <= 0) return;
+        
+        const scale = new THREE.Vector3().setFromMatrixScale(mesh.matrixWorld);
+        const radius = geometry.parameters.radius * Math.max(scale.x, scale.y, scale.z) * this.pixelsPerUnit(p.distance, camera);
+        
+        items.push({
+            distance: p.distance,
+            draw: ctx => {
+                ctx.globalAlpha = this.opacity(material);
+                if (material.isMeshBasicMaterial) {
+                    ctx.fillStyle = material.color.getStyle();
+                } else {
+                    const gradient = ctx.createRadialGradient(p.x - radius / 3, p.y - radius / 3, radius / 10, p.x, p.y, radius);
+                    gradient.addColorStop(0, this.shade(material, 1).getStyle());
+                    gradient.addColorStop(1, this.shade(material, 0).getStyle());
+                    ctx.fillStyle = gradient;
+                }
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, radius, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        });
+    }
+    
+    collectWireframe(mesh, camera, items) {
+        const { geometry, material } = mesh;
+        const position = geometry.attributes.position;
+        const points = [];
+        for (let i = 0; i < position.count; i++) {
+            points.push(this.project(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld), camera));
+        }
+        const center = this.project(new THREE.Vector3().setFromMatrixPosition(mesh.matrixWorld), camera);
+        
+        items.push({
+            distance: center.distance,
+            draw: ctx => {
+                ctx.globalAlpha = this.opacity(material);
+                ctx.strokeStyle = material.color.getStyle();
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                this.edges(geometry).forEach(([a, b]) => {
+                    ctx.moveTo(points[a].x, points[a].y);
+                    ctx.lineTo(points[b].x, points[b].y);
+                });
+                ctx.stroke();
+            }
+        });
+    }
+    
+    // Unique triangle edges, worked out once per geometry
+    edges(geometry) {
+        if (this.edgeCache.has(geometry)) return this.edgeCache.get(geometry);
+        
+        const edges = [];
+        const seen = new Set();
+        this.triangles(geometry).forEach(triangle => {
+            [[0, 1], [1, 2], [2, 0]].forEach(([i, j]) => {
+                const [a, b] = [triangle[i], triangle[j]].sort((x, y) => x - y);
+                if (seen.has(`${a},${b}`)) return;
+                seen.add(`${a},${b}`);
+                edges.push([a, b]);
+            });
+        });
+        this.edgeCache.set(geometry, edges);
+        return edges;
+    }
+    
+    // Vertex index triples, for indexed and non-indexed geometries alike
+    triangles(geometry) {
+        const index = geometry.index;
+        const count = index ? index.count : geometry.attributes.position.count;
+        const triangles = [];
+        for (let i = 0; i + 2 < count; i += 3) {
+            triangles.push(index ? [index.getX(i), index.getX(i + 1), index.getX(i + 2)] : [i, i + 1, i + 2]);
+        }
+        return triangles;
+    }
+    
+    collectTriangles(mesh, camera, items) {
+        const { geometry, material } = mesh;
+        const position = geometry.attributes.position;
+        const world = [];
+        for (let i = 0; i < position.count; i++) {
+            world.push(new THREE.Vector3().fromBufferAttribute(position, i).applyMatrix4(mesh.matrixWorld));
+        }
+        const points = world.map(v => this.project(v, camera));
+        const eye = new THREE.Vector3().setFromMatrixPosition(camera.matrixWorld);
+        const opacity = this.opacity(material);
+        
+        this.triangles(geometry).forEach(([a, b, c]) => {
+            if (points[a].distance <= 0 || points[b].distance <= 0 || points[c].distance <= 0) return;
+            
+            const normal = new THREE.Vector3().subVectors(world[b], world[a])
+                .cross(new THREE.Vector3().subVectors(world[c], world[a])).normalize();
+            const facing = normal.dot(new THREE.Vector3().subVectors(eye, world[a]));
+            if (facing < 0) {
+                if (material.side === THREE.FrontSide) return;
+                normal.negate();
+            }
+            
+            const color = this.shade(material, Math.max(0, normal.dot(this.light))).getStyle();
+            items.push({
+                distance: (points[a].distance + points[b].distance + points[c].distance) / 3,
+                draw: ctx => {
+                    ctx.globalAlpha = opacity;
+                    ctx.fillStyle = color;
+                    ctx.strokeStyle = color; // hides the hairline seams between neighbours
+                    ctx.lineWidth = 0.5;
+                    ctx.beginPath();
+                    ctx.moveTo(points[a].x, points[a].y);
+                    ctx.lineTo(points[b].x, points[b].y);
+                    ctx.lineTo(points[c].x, points[c].y);
+                    ctx.closePath();
+                    ctx.fill();
+                    ctx.stroke();
+                }
+            });
+        });
+    }
+    
+    // Ambient plus diffuse at `lambert` (0 to 1), plus any emissive glow
+    shade(material, lambert) {
+        if (material.isMeshBasicMaterial) return material.color.clone();
+        const color = material.color.clone().multiplyScalar(0.45 + 0.55 * lambert);
+        if (material.emissive) {
+            color.add(material.emissive.clone().multiplyScalar(material.emissiveIntensity));
+        }
+        return color;
+    }
+    
+    collectSprite(sprite, camera, items) {
+        const image = sprite.material.map && sprite.material.map.image;
+        if (!image) return;
+        const p = this.project(new THREE.Vector3().setFromMatrixPosition(sprite.matrixWorld), camera);
+        if (p.distance <= 0) return;
+        
+        const scale = new THREE.Vector3().setFromMatrixScale(sprite.matrixWorld);
+        const ppu = this.pixelsPerUnit(p.distance, camera);
+        const [width, height] = [scale.x * ppu, scale.y * ppu];
+        
+        items.push({
+            distance: p.distance,
+            draw: ctx => {
+                ctx.globalAlpha = sprite.material.opacity;
+                // Text labels stay text in SVG output rather than embedded bitmaps
+                const { text, color } = sprite.userData;
+                if (text !== undefined && ctx.fillSpriteText) {
+                    ctx.fillSpriteText(text, color, p.x, p.y, height);
+                } else {
+                    ctx.drawImage(image, p.x - width / 2, p.y - height / 2, width, height);
+                }
+            }
+        });
+    }
+}
+
+/**
+ * The subset of the Canvas 2D API CanvasSceneRenderer draws with, recorded as
+ * SVG elements: paths, rectangles, radial gradients, images and sprite text.
+ * Transforms are not supported; coordinates are taken as CSS pixels.
+ */
+class SvgContext {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.elements = [];
+        this.gradients = [];
+        this.stack = [];
+        this.path = [];
+        
+        this.fillStyle = '#000';
+        this.strokeStyle = '#000';
+        this.lineWidth = 1;
+        this.globalAlpha = 1;
+        this.lineDash = [];
+    }
+    
+    save() {
+        const { fillStyle, strokeStyle, lineWidth, globalAlpha, lineDash } = this;
+        this.stack.push({ fillStyle, strokeStyle, lineWidth, globalAlpha, lineDash });
+    }
+    
+    restore() {
+        if (this.stack.length) Object.assign(this, this.stack.pop());
+    }
+    
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+    
+    beginPath() {
+        this.path = [];
+    }
+    
+    moveTo(x, y) {
+        this.path.push(`M${SvgContext.number(x)} ${SvgContext.number(y)}`);
+    }
+    
+    lineTo(x, y) {
+        this.path.push(`L${SvgContext.number(x)} ${SvgContext.number(y)}`);
+    }
+    
+    closePath() {
+        this.path.push('Z');
+    }
+    
+    // Clockwise arcs only, which is all the renderer draws
+    arc(x, y, radius, start, end) {
+        const n = SvgContext.number;
+        const point = angle => `${n(x + radius * Math.cos(angle))} ${n(y + radius * Math.sin(angle))}`;
+        this.path.push(`${this.path.length ? 'L' : 'M'}${point(start)}`);
+        
+        // An SVG arc can't start and end at the same point, so full circles take two halves
+        const sweep = Math.min(end - start, 2 * Math.PI);
+        const middle = start + sweep / 2;
+        [middle, start + sweep].forEach(angle => {
+            this.path.push(`A${n(radius)} ${n(radius)} 0 0 1 ${point(angle)}`);
+        });
+    }
+    
+    fill() {
+        this.elements.push(`<path d="${this.path.join('')}" fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`);
+    }
+    
+    stroke() {
+        const dash = this.lineDash.length ? ` stroke-dasharray="${this.lineDash.map(SvgContext.number).join(' ')}"` : '';
+        this.elements.push(`<path d="${this.path.join('')}" fill="none" stroke="${this.paint(this.strokeStyle)}" ` +
+            `stroke-width="${SvgContext.number(this.lineWidth)}"${dash}${this.opacity()}/>`);
+    }
+    
+    fillRect(x, y, width, height) {
+        const n = SvgContext.number;
+        this.elements.push(`<rect x="${n(x)}" y="${n(y)}" width="${n(width)}" height="${n(height)}" ` +
+            `fill="${this.paint(this.fillStyle)}"${this.opacity()}/>`);
+    }
+    
+    // Nothing has been drawn underneath yet when the renderer clears, and SVG starts transparent
+    clearRect() {}
+    
+    createRadialGradient(x0, y0, r0, x1, y1, r1) {
+        const gradient = {
+            id: `gradient-${this.gradients.length + 1}`,
+            circles: [x0, y0, r0, x1, y1, r1].map(SvgContext.number),
+            stops: [],
+            addColorStop(offset, color) {
+                this.stops.push({ offset, color });
+            }
+        };
+        this.gradients.push(gradient);
+        return gradient;
+    }
+    
+    drawImage(image, x, y, width, height) {
+        const n = SvgContext.number;
+        this.elements.push(`<image href="${image.toDataURL()}" x="${n(x)}" y="${n(y)}" ` +
+            `width="${n(width)}" height="${n(height)}"${this.opacity()}/>`);
+    }
+    
+    // Same layout as the sprite canvases: centred, font 0.6 of the sprite height
+    fillSpriteText(text, color, x, y, height) {
+        const n = SvgContext.number;
+        this.elements.push(`<text x="${n(x)}" y="${n(y + height * 0.05)}" font-family="sans-serif" ` +
+            `font-size="${n(height * 0.6)}" text-anchor="middle" dominant-baseline="central" ` +
+            `fill="${color}"${this.opacity()}>${SvgContext.escape(text)}</text>`);
+    }
+    
+    paint(style) {
+        return typeof style === 'string' ? style : `url(#${style.id})`;
+    }
+    
+    opacity() {
+        return this.globalAlpha < 1 ? ` opacity="${SvgContext.number(this.globalAlpha)}"` : '';
+    }
+    
+    toString() {
+        const defs = this.gradients.map(({ id, circles: [fx, fy, fr, cx, cy, r], stops }) =>
+            `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${r}" fx="${fx}" fy="${fy}" fr="${fr}">` +
+            stops.map(({ offset, color }) => `<stop offset="${offset}" stop-color="${color}"/>`).join('') +
+            '</radialGradient>');
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            ...(defs.length ? ['<defs>', ...defs, '</defs>'] : []),
+            ...this.elements,
+            '</svg>'
+        ].join('\n');
+    }
+    
+    static number(value) {
+        return +value.toFixed(2);
+    }
+    
+    static escape(text) {
+        return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+}
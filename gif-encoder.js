@@ -0,0 +1,138 @@
+/**
+ * Minimal animated GIF encoder for recordings of the view.
+ *
+ * Frames are mapped onto one fixed 6×7×6 colour cube palette (no dithering,
+ * no per-frame palettes), which keeps encoding fast enough to run in the page
+ * and is plenty for flat-shaded diagrams. Pixel data is LZW-compressed as the
+ * GIF89a format requires, and the animation loops forever.
+ */
+const GifEncoder = {
+    // Levels per channel: 6 red × 7 green × 6 blue = 252 colours, padded to 256
+    levels: [6, 7, 6],
+    
+    palette() {
+        const [reds, greens, blues] = this.levels;
+        const level = (i, count) => Math.round(i * 255 / (count - 1));
+        const colors = new Uint8Array(256 * 3);
+        let n = 0;
+        for (let r = 0; r < reds; r++) {
+            for (let g = 0; g < greens; g++) {
+                for (let b = 0; b < blues; b++) {
+                    colors.set([level(r, reds), level(g, greens), level(b, blues)], n * 3);
+                    n++;
+                }
+            }
+        }
+        return colors;
+    },
+    
+    // RGBA pixels (ImageData.data) -> palette indices; transparency is flattened to black
+    quantize(rgba) {
+        const [reds, greens, blues] = this.levels;
+        const indices = new Uint8Array(rgba.length / 4);
+        for (let i = 0; i < indices.length; i++) {
+            const alpha = rgba[i * 4 + 3] / 255;
+            const r = Math.round(rgba[i * 4] * alpha * (reds - 1) / 255);
+            const g = Math.round(rgba[i * 4 + 1] * alpha * (greens - 1) / 255);
+            const b = Math.round(rgba[i * 4 + 2] * alpha * (blues - 1) / 255);
+            indices[i] = (r * greens + g) * blues + b;
+        }
+        return indices;
+    },
+    
+    // frames: palette index arrays of width × height; delay in milliseconds per frame
+    encode(frames, width, height, delay) {
+        const bytes = [];
+        const word = value => bytes.push(value & 0xff, (value >> 8) & 0xff);
+        const ascii = text => [...text].forEach(c => bytes.push(c.charCodeAt(0)));
+        
+        ascii('GIF89a');
+        word(width);
+        word(height);
+        bytes.push(0xf7, 0, 0); // global colour table of 256 entries, background 0, square pixels
+        bytes.push(...this.palette());
+        
+        // NETSCAPE2.0 application extension: loop forever
+        bytes.push(0x21, 0xff, 0x0b);
+        ascii('NETSCAPE2.0');
+        bytes.push(0x03, 0x01, 0, 0, 0);
+        
+        const centiseconds = Math.max(2, Math.round(delay / 10));
+        frames.forEach(indices => {
+            // Graphic control extension: frame delay, no transparency
+            bytes.push(0x21, 0xf9, 0x04, 0);
+            word(centiseconds);
+            bytes.push(0, 0);
+            
+            // Image descriptor covering the whole canvas, no local colour table
+            bytes.push(0x2c);
+            word(0);
+            word(0);
+            word(width);
+            word(height);
+            bytes.push(0);
+            
+            bytes.push(8); // LZW minimum code size
+            const data = this.lzw(indices, 8);
+            for (let i = 0; i < data.length; i += 255) {
+                const block = data.slice(i, i + 255);
+                bytes.push(block.length, ...block);
+            }
+            bytes.push(0);
+        });
+        
+        bytes.push(0x3b);
+        return new Uint8Array(bytes);
+    },
+    
+    // Variable-width LZW as GIF uses it: codes grow from minCodeSize + 1 up to
+    // 12 bits, and a clear code restarts the table when it fills up
+    lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const out = [];
+        let buffer = 0;
+        let bits = 0;
+        let codeSize = minCodeSize + 1;
+        const emit = code => {
+            buffer |= code << bits;
+            bits += codeSize;
+            while (bits >= 8) {
+                out.push(buffer & 0xff);
+                buffer >>= 8;
+                bits -= 8;
+            }
+        };
+        
+        let table = new Map();
+        let nextCode = endCode + 1;
+        emit(clearCode);
+        
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const pixel = indices[i];
+            const key = (prefix << 8) | pixel;
+            if (table.has(key)) {
+                prefix = table.get(key);
+                continue;
+            }
+            
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            } else {
+                if (nextCode >= 1 << codeSize) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = pixel;
+        }
+        
+        emit(prefix);
+        emit(endCode);
+        if (bits > 0) out.push(buffer & 0xff);
+        return out;
+    }
+};
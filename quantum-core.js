@@ -0,0 +1,1874 @@
+/**
+ * Quantum core for the Bloch Sphere Visualizer
+ * Complex numbers, one- and two-qubit states, gates, noise, measurement, tomography
+ * and time evolution with no DOM or Three.js dependency, so the same math runs
+ * in the browser (as window.QuantumCore) and in Node (require('./quantum-core.js')).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.QuantumCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+'use strict';
+
+// Bad input from a user or a file; `path` points at the offending field, e.g. "sequence.gates[2]"
+class ValidationError extends Error {
+    constructor(message, path = '') {
+        super(path ? `${path}: ${message}` : message);
+        this.name = 'ValidationError';
+        this.path = path;
+    }
+}
+
+// Simple Complex number class for calculations
+class Complex {
+    constructor(real, imag = 0) {
+        this.real = real;
+        this.imag = imag;
+    }
+    
+    static exp(z) {
+        const r = Math.exp(z.real);
+        return new Complex(r * Math.cos(z.imag), r * Math.sin(z.imag));
+    }
+    
+    // r·e^{i·angle}
+    static fromPolar(r, angle) {
+        return new Complex(r * Math.cos(angle), r * Math.sin(angle));
+    }
+    
+    add(other) {
+        return new Complex(this.real + other.real, this.imag + other.imag);
+    }
+    
+    sub(other) {
+        return new Complex(this.real - other.real, this.imag - other.imag);
+    }
+    
+    // multiply by another complex
+    mul(other) {
+        return new Complex(
+            this.real * other.real - this.imag * other.imag,
+            this.real * other.imag + this.imag * other.real
+        );
+    }
+
+    // divide by another complex
+    div(other) {
+        const d = other.real ** 2 + other.imag ** 2;
+        return new Complex(
+            (this.real * other.real + this.imag * other.imag) / d,
+            (this.imag * other.real - this.real * other.imag) / d
+        );
+    }
+    
+    // Principal power z^w = e^{w·ln z}; 0^w is 0 for w ≠ 0
+    pow(exponent) {
+        if (this.abs() === 0) {
+            return exponent.abs() === 0 ? new Complex(1) : new Complex(0);
+        }
+        // Stay exact on the real line where Math.pow is defined
+        if (this.imag === 0 && exponent.imag === 0 && (this.real > 0 || Number.isInteger(exponent.real))) {
+            return new Complex(Math.pow(this.real, exponent.real));
+        }
+        const log = new Complex(Math.log(this.abs()), this.arg());
+        return Complex.exp(exponent.mul(log));
+    }
+
+    // scale by real
+    scale(s) {
+        return new Complex(this.real * s, this.imag * s);
+    }
+    
+    conj() {
+        return new Complex(this.real, -this.imag);
+    }
+    
+    abs() {
+        return Math.hypot(this.real, this.imag);
+    }
+    
+    arg() {
+        return Math.atan2(this.imag, this.real);
+    }
+    
+    // Serialized as [real, imag]
+    toJSON() {
+        return [this.real, this.imag];
+    }
+    
+    static fromJSON(value, path = '') {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isFinite)) {
+            throw new ValidationError(`expected a complex number as [real, imag], got ${JSON.stringify(value)}`, path);
+        }
+        return new Complex(value[0], value[1]);
+    }
+}
+
+/**
+ * Single-qubit gate library.
+ * Every gate is a 2×2 unitary [[a, b], [c, d]] of Complex entries acting on
+ * the amplitudes (α, β). `params` names the angles a gate takes (radians).
+ * Pages can add fixed gates of their own with `define`.
+ */
+const QuantumGates = {
+    definitions: {
+        x:   { label: 'X',  params: [], matrix: () => QuantumGates.fromReal([[0, 1], [1, 0]]) },
+        y:   { label: 'Y',  params: [], matrix: () => [
+                 [new Complex(0), new Complex(0, -1)],
+                 [new Complex(0, 1), new Complex(0)]
+             ] },
+        z:   { label: 'Z',  params: [], matrix: () => QuantumGates.fromReal([[1, 0], [0, -1]]) },
+        h:   { label: 'H',  params: [], matrix: () => QuantumGates.fromReal([[1, 1], [1, -1]], Math.SQRT1_2) },
+        s:   { label: 'S',  params: [], matrix: () => QuantumGates.phase(Math.PI / 2) },
+        sdg: { label: 'S†', params: [], matrix: () => QuantumGates.phase(-Math.PI / 2) },
+        t:   { label: 'T',  params: [], matrix: () => QuantumGates.phase(Math.PI / 4) },
+        tdg: { label: 'T†', params: [], matrix: () => QuantumGates.phase(-Math.PI / 4) },
+        sx:  { label: '√X', params: [], matrix: () => [
+                 [new Complex(0.5, 0.5), new Complex(0.5, -0.5)],
+                 [new Complex(0.5, -0.5), new Complex(0.5, 0.5)]
+             ] },
+        p:   { label: 'P',  params: ['λ'], axis: [0, 0, 1], matrix: (lambda) => QuantumGates.phase(lambda) },
+        rx:  { label: 'Rx', params: ['θ'], axis: [1, 0, 0], matrix: (theta) => [
+                 [new Complex(Math.cos(theta / 2)), new Complex(0, -Math.sin(theta / 2))],
+                 [new Complex(0, -Math.sin(theta / 2)), new Complex(Math.cos(theta / 2))]
+             ] },
+        ry:  { label: 'Ry', params: ['θ'], axis: [0, 1, 0], matrix: (theta) => QuantumGates.fromReal([
+                 [Math.cos(theta / 2), -Math.sin(theta / 2)],
+                 [Math.sin(theta / 2), Math.cos(theta / 2)]
+             ]) },
+        rz:  { label: 'Rz', params: ['θ'], axis: [0, 0, 1], matrix: (theta) => [
+                 [Complex.fromPolar(1, -theta / 2), new Complex(0)],
+                 [new Complex(0), Complex.fromPolar(1, theta / 2)]
+             ] },
+        u3:  { label: 'U3', params: ['θ', 'φ', 'λ'], matrix: (theta, phi, lambda) => [
+                 [new Complex(Math.cos(theta / 2)), Complex.fromPolar(-Math.sin(theta / 2), lambda)],
+                 [Complex.fromPolar(Math.sin(theta / 2), phi), Complex.fromPolar(Math.cos(theta / 2), phi + lambda)]
+             ] }
+    },
+    
+    // Build the unitary for `name`, or null if the gate is unknown or under-specified
+    matrix(name, params = []) {
+        const def = this.definitions[name];
+        if (!def || params.length < def.params.length) return null;
+        if (params.slice(0, def.params.length).some(p => !Number.isFinite(p))) return null;
+        return def.matrix(...params);
+    },
+    
+    /**
+     * Bloch-sphere rotation performed by a gate: { axis: [x, y, z], angle }.
+     * Single-angle rotations keep the angle the user asked for (Rx(270°)
+     * turns 270°); every other gate uses the equivalent rotation of at most π.
+     */
+    rotation(name, params = []) {
+        const def = this.definitions[name];
+        if (def && def.axis && Number.isFinite(params[0])) {
+            return { axis: def.axis.slice(), angle: params[0] };
+        }
+        // Gates defined as a rotation keep theirs too
+        if (def && def.rotation) {
+            return { axis: def.rotation.axis.slice(), angle: def.rotation.angle };
+        }
+        const matrix = this.matrix(name, params);
+        return matrix ? this.rotationFromMatrix(matrix) : null;
+    },
+    
+    // Any U = e^{iδ}(cos(γ/2)I − i·sin(γ/2) n·σ); read n and γ off the SU(2) part
+    rotationFromMatrix(m) {
+        const [[a, b], [c, d]] = m;
+        const det = a.mul(d).sub(b.mul(c));
+        const unphase = Complex.fromPolar(1, -det.arg() / 2);
+        const [a2, b2, c2, d2] = [a, b, c, d].map(z => z.mul(unphase));
+        
+        let cosHalf = (a2.real + d2.real) / 2;
+        let n = [
+            -(b2.imag + c2.imag) / 2,
+            (c2.real - b2.real) / 2,
+            (d2.imag - a2.imag) / 2
+        ];
+        // ±V describe the same rotation; pick the sign with γ ≤ π
+        if (cosHalf < 0) {
+            cosHalf = -cosHalf;
+            n = n.map(v => -v);
+        }
+        
+        const sinHalf = Math.hypot(...n);
+        if (sinHalf < 1e-12) {
+            return { axis: [0, 0, 1], angle: 0 };
+        }
+        return { axis: n.map(v => v / sinHalf), angle: 2 * Math.atan2(sinHalf, cosHalf) };
+    },
+    
+    // Short display name, e.g. "H" or "Rx(90°)"
+    describe(name, params = []) {
+        const def = this.definitions[name];
+        if (!def) return name;
+        if (!def.params.length) return def.label;
+        const degrees = params.map(p => `${+(p * 180 / Math.PI).toFixed(1)}°`);
+        return `${def.label}(${degrees.join(', ')})`;
+    },
+    
+    /**
+     * Add a fixed (parameterless) gate, given either as a 2×2 unitary or as a
+     * Bloch rotation { axis: [x, y, z], angle } in radians. Matrix entries may
+     * be numbers, [real, imag] pairs, Complex or expressions such as "i/sqrt(2)".
+     * Throws ValidationError for a name that's taken or a matrix that isn't unitary.
+     */
+    define(name, spec, { label = name } = {}) {
+        if (typeof name !== 'string' || !/^[A-Za-z_]\w*$/.test(name)) {
+            throw new ValidationError('expected a letter followed by letters, digits or _', 'name');
+        }
+        // Assigning it would replace the registry's prototype instead of adding a gate
+        if (name === '__proto__') {
+            throw new ValidationError('"__proto__" is reserved', 'name');
+        }
+        if (Object.hasOwn(this.definitions, name) || Object.hasOwn(Qasm.gateNames, name)) {
+            throw new ValidationError(`gate "${name}" is already defined`, 'name');
+        }
+        if (typeof label !== 'string' || !label.trim()) {
+            throw new ValidationError('expected a non-empty string', 'label');
+        }
+        
+        let matrix;
+        let rotation = null;
+        if (spec && !Array.isArray(spec) && typeof spec === 'object' && 'axis' in spec) {
+            const { axis, angle } = spec;
+            if (!Array.isArray(axis) || axis.length !== 3 || !axis.every(Number.isFinite) || Math.hypot(...axis) < 1e-9) {
+                throw new ValidationError('expected a non-zero vector [x, y, z]', 'axis');
+            }
+            if (!Number.isFinite(angle)) {
+                throw new ValidationError('expected an angle in radians', 'angle');
+            }
+            const length = Math.hypot(...axis);
+            rotation = { axis: axis.map(v => v / length), angle };
+            matrix = this.rotationMatrix(rotation.axis, angle);
+        } else {
+            matrix = this.parseMatrix(spec, 'matrix');
+            const error = this.unitarityError(matrix);
+            if (error > 1e-6) {
+                throw new ValidationError(`not unitary: U†U differs from I by up to ${error.toPrecision(3)}`, 'matrix');
+            }
+        }
+        
+        this.definitions[name] = { label, params: [], custom: true, rotation, matrix: () => matrix.map(row => row.slice()) };
+        return this.definitions[name];
+    },
+    
+    // [[a, b], [c, d]] with each entry a number, [real, imag], Complex or expression string
+    parseMatrix(rows, path = 'matrix') {
+        if (!Array.isArray(rows) || rows.length !== 2 || !rows.every(row => Array.isArray(row) && row.length === 2)) {
+            throw new ValidationError('expected a 2×2 matrix [[a, b], [c, d]]', path);
+        }
+        return rows.map((row, i) => row.map((value, j) => {
+            const at = `${path}[${i}][${j}]`;
+            if (value instanceof Complex) return value;
+            if (Number.isFinite(value)) return new Complex(value);
+            if (typeof value === 'string') {
+                try {
+                    return evaluateComplex(value);
+                } catch (err) {
+                    throw new ValidationError(err.message, at);
+                }
+            }
+            return Complex.fromJSON(value, at);
+        }));
+    },
+    
+    // cos(γ/2)·I − i·sin(γ/2)·n·σ for a unit axis n
+    rotationMatrix([x, y, z], angle) {
+        const c = Math.cos(angle / 2);
+        const s = Math.sin(angle / 2);
+        return [
+            [new Complex(c, -s * z), new Complex(-s * y, -s * x)],
+            [new Complex(s * y, -s * x), new Complex(c, s * z)]
+        ];
+    },
+    
+    // Largest entry of |U†U − I|
+    unitarityError(m) {
+        const product = this.multiply(this.dagger(m), m);
+        return Math.max(...[0, 1].flatMap(i => [0, 1].map(j => product[i][j].sub(new Complex(i === j ? 1 : 0)).abs())));
+    },
+    
+    // U3(θ, φ, λ) angles equal to U up to a global phase
+    toU3(m) {
+        const [[a, b], [c, d]] = m;
+        const theta = 2 * Math.atan2(c.abs(), a.abs());
+        const wrap = angle => Math.atan2(Math.sin(angle), Math.cos(angle));
+        if (a.abs() < 1e-12) {
+            // Anti-diagonal: only φ − λ matters, so take φ = 0
+            return [theta, 0, wrap(b.scale(-1).arg() - c.arg())];
+        }
+        if (c.abs() < 1e-12) {
+            return [theta, 0, wrap(d.arg() - a.arg())];
+        }
+        return [theta, wrap(c.arg() - a.arg()), wrap(b.scale(-1).arg() - a.arg())];
+    },
+    
+    fromReal(rows, factor = 1) {
+        return rows.map(row => row.map(v => new Complex(v * factor)));
+    },
+    
+    // P(λ) = diag(1, e^{iλ})
+    phase(lambda) {
+        return [
+            [new Complex(1), new Complex(0)],
+            [new Complex(0), Complex.fromPolar(1, lambda)]
+        ];
+    },
+    
+    // U·(α, β)ᵀ
+    apply(m, alpha, beta) {
+        return [
+            m[0][0].mul(alpha).add(m[0][1].mul(beta)),
+            m[1][0].mul(alpha).add(m[1][1].mul(beta))
+        ];
+    },
+    
+    // 2×2 matrix product A·B
+    multiply(a, b) {
+        return [0, 1].map(i => [0, 1].map(j => a[i][0].mul(b[0][j]).add(a[i][1].mul(b[1][j]))));
+    },
+    
+    // Conjugate transpose M†
+    dagger(m) {
+        return [
+            [m[0][0].conj(), m[1][0].conj()],
+            [m[0][1].conj(), m[1][1].conj()]
+        ];
+    }
+};
+
+/**
+ * Single-qubit density matrix ρ, a 2×2 array of Complex entries.
+ * Covers pure and mixed states alike: ρ = ½(I + r·σ) with Bloch vector r,
+ * |r| = 1 for pure states and |r| < 1 inside the ball.
+ */
+class DensityMatrix {
+    constructor(entries) {
+        this.entries = entries;
+    }
+    
+    static fromBlochVector({ x, y, z }) {
+        return new DensityMatrix([
+            [new Complex((1 + z) / 2), new Complex(x / 2, -y / 2)],
+            [new Complex(x / 2, y / 2), new Complex((1 - z) / 2)]
+        ]);
+    }
+    
+    // |ψ⟩⟨ψ| for |ψ⟩ = α|0⟩ + β|1⟩
+    static fromAmplitudes(alpha, beta) {
+        const ket = [alpha, beta];
+        return new DensityMatrix(ket.map(a => ket.map(b => a.mul(b.conj()))));
+    }
+    
+    blochVector() {
+        const [[rho00], [rho10, rho11]] = this.entries;
+        return {
+            x: 2 * rho10.real,
+            y: 2 * rho10.imag,
+            z: rho00.real - rho11.real
+        };
+    }
+    
+    // ρ → UρU†
+    applyUnitary(u) {
+        return this.applyKraus([u]);
+    }
+    
+    // ρ → Σ KρK† over the Kraus operators of a channel
+    applyKraus(ops) {
+        const zero = () => [[new Complex(0), new Complex(0)], [new Complex(0), new Complex(0)]];
+        const result = ops.reduce((sum, k) => {
+            const term = QuantumGates.multiply(QuantumGates.multiply(k, this.entries), QuantumGates.dagger(k));
+            return sum.map((row, i) => row.map((v, j) => v.add(term[i][j])));
+        }, zero());
+        return new DensityMatrix(result);
+    }
+    
+    // Eigenvalues of ρ are (1 ± |r|)/2
+    eigenvalues() {
+        const { x, y, z } = this.blochVector();
+        const r = Math.min(Math.hypot(x, y, z), 1);
+        return [(1 + r) / 2, (1 - r) / 2];
+    }
+    
+    // Tr(ρ²): 1 for pure states, ½ for the maximally mixed state
+    purity() {
+        return this.eigenvalues().reduce((sum, l) => sum + l * l, 0);
+    }
+    
+    // von Neumann entropy S(ρ) = −Tr(ρ log₂ ρ), in bits
+    entropy() {
+        return this.eigenvalues()
+            .filter(l => l > 1e-12)
+            .reduce((sum, l) => sum - l * Math.log2(l), 0);
+    }
+    
+    /**
+     * Uhlmann fidelity F = (Tr√(√ρ σ √ρ))², which for qubits reduces to
+     * ½(1 + r·s + √((1 − |r|²)(1 − |s|²))).
+     */
+    fidelity(other) {
+        const r = this.blochVector();
+        const s = other.blochVector();
+        const dot = r.x * s.x + r.y * s.y + r.z * s.z;
+        const mixed = (1 - (r.x ** 2 + r.y ** 2 + r.z ** 2)) * (1 - (s.x ** 2 + s.y ** 2 + s.z ** 2));
+        return Math.max(0, Math.min(1, (1 + dot + Math.sqrt(Math.max(0, mixed))) / 2));
+    }
+    
+    // Trace distance ½‖ρ − σ‖₁ = ½|r − s|
+    traceDistance(other) {
+        const r = this.blochVector();
+        const s = other.blochVector();
+        return Math.hypot(r.x - s.x, r.y - s.y, r.z - s.z) / 2;
+    }
+    
+    // Serialized as [[ρ00, ρ01], [ρ10, ρ11]] with each entry [real, imag]
+    toJSON() {
+        return this.entries.map(row => row.map(v => v.toJSON()));
+    }
+    
+    // Checks that ρ is Hermitian with unit trace and non-negative eigenvalues
+    static fromJSON(value, path = '', tolerance = 1e-6) {
+        if (!Array.isArray(value) || value.length !== 2 || !value.every(row => Array.isArray(row) && row.length === 2)) {
+            throw new ValidationError('expected a 2×2 matrix [[ρ00, ρ01], [ρ10, ρ11]]', path);
+        }
+        const entries = value.map((row, i) => row.map((v, j) => Complex.fromJSON(v, `${path}[${i}][${j}]`)));
+        const [[a, b], [c, d]] = entries;
+        
+        if (Math.abs(a.imag) > tolerance || Math.abs(d.imag) > tolerance || b.sub(c.conj()).abs() > tolerance) {
+            throw new ValidationError('density matrix must be Hermitian', path);
+        }
+        if (Math.abs(a.real + d.real - 1) > tolerance) {
+            throw new ValidationError(`density matrix must have trace 1, got ${(a.real + d.real).toFixed(6)}`, path);
+        }
+        
+        const rho = new DensityMatrix(entries);
+        const { x, y, z } = rho.blochVector();
+        if (Math.hypot(x, y, z) > 1 + tolerance) {
+            throw new ValidationError('density matrix has a negative eigenvalue', path);
+        }
+        return rho;
+    }
+}
+
+/**
+ * Driven qubit H(t) = (ω₀/2)σz + Ω(cos(ωt + ϕ)σx + sin(ωt + ϕ)σy)/2, integrated
+ * as Bloch equations dr/dt = B × r with B = (Ω cos(ωt + ϕ), Ω sin(ωt + ϕ), ω₀),
+ * plus optional T1/T2 relaxation towards |0⟩.
+ * Frequencies are angular (rad/s); T1/T2 in seconds, 0 switches them off.
+ * In the frame rotating with the drive, B becomes the static (Ω cos ϕ, Ω sin ϕ, ω₀ − ω).
+ */
+const TimeEvolution = {
+    field({ omega0, rabi, omegaDrive, phase }, t, rotatingFrame) {
+        if (rotatingFrame) {
+            return [rabi * Math.cos(phase), rabi * Math.sin(phase), omega0 - omegaDrive];
+        }
+        const drivePhase = omegaDrive * t + phase;
+        return [rabi * Math.cos(drivePhase), rabi * Math.sin(drivePhase), omega0];
+    },
+    
+    derivative(r, t, params, rotatingFrame) {
+        const [bx, by, bz] = this.field(params, t, rotatingFrame);
+        const [x, y, z] = r;
+        const d = [by * z - bz * y, bz * x - bx * z, bx * y - by * x];
+        
+        if (params.t2 > 0) {
+            d[0] -= x / params.t2;
+            d[1] -= y / params.t2;
+        }
+        if (params.t1 > 0) {
+            d[2] -= (z - 1) / params.t1;
+        }
+        return d;
+    },
+    
+    // Advance r from t by `duration` with fixed-size RK4 steps
+    evolve(r, t, duration, params, rotatingFrame, maxStep = 1e-3) {
+        const steps = Math.max(1, Math.ceil(duration / maxStep));
+        const h = duration / steps;
+        const axpy = (a, v, w) => v.map((vi, i) => vi + a * w[i]);
+        
+        for (let n = 0; n < steps; n++) {
+            const tn = t + n * h;
+            const k1 = this.derivative(r, tn, params, rotatingFrame);
+            const k2 = this.derivative(axpy(h / 2, r, k1), tn + h / 2, params, rotatingFrame);
+            const k3 = this.derivative(axpy(h / 2, r, k2), tn + h / 2, params, rotatingFrame);
+            const k4 = this.derivative(axpy(h, r, k3), tn + h, params, rotatingFrame);
+            r = r.map((ri, i) => ri + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+        }
+        return r;
+    }
+};
+
+/**
+ * Projective measurement along a unit axis n.
+ * The "+" outcome projects onto the pure state pointing along n, "−" onto the
+ * opposite one, with P(±) = (1 ± r·n)/2 for Bloch vector r.
+ */
+const Measurement = {
+    // Axis directions (θ, φ) of the named bases
+    bases: {
+        z: { theta: 0, phi: 0 },
+        x: { theta: Math.PI / 2, phi: 0 },
+        y: { theta: Math.PI / 2, phi: Math.PI / 2 }
+    },
+    
+    outcomeLabels(basis) {
+        const labels = {
+            z: { plus: '|0⟩', minus: '|1⟩' },
+            x: { plus: '|+⟩', minus: '|−⟩' },
+            y: { plus: '|i⟩', minus: '|−i⟩' }
+        };
+        return labels[basis] || { plus: '|+n⟩', minus: '|−n⟩' };
+    },
+    
+    probabilities(r, n) {
+        const dot = r.x * n.x + r.y * n.y + r.z * n.z;
+        const plus = Math.max(0, Math.min(1, (1 + dot) / 2));
+        return { plus, minus: 1 - plus };
+    },
+    
+    // Counts of each outcome over `shots` independent measurements
+    sample(plusProbability, shots, rng = Math.random) {
+        let plus = 0;
+        for (let i = 0; i < shots; i++) {
+            if (rng() < plusProbability) plus++;
+        }
+        return { plus, minus: shots - plus };
+    }
+};
+
+/**
+ * Single-qubit state tomography from X, Y and Z measurement counts,
+ * given as { x: { plus, minus }, y: {...}, z: {...} }.
+ */
+const Tomography = {
+    axes: ['x', 'y', 'z'],
+    
+    // Simulate `shots` measurements in each basis against Bloch vector r
+    simulate(r, shots, rng = Math.random) {
+        const counts = {};
+        this.axes.forEach(axis => {
+            const n = Measurement.bases[axis];
+            const direction = {
+                x: Math.sin(n.theta) * Math.cos(n.phi),
+                y: Math.sin(n.theta) * Math.sin(n.phi),
+                z: Math.cos(n.theta)
+            };
+            counts[axis] = Measurement.sample(Measurement.probabilities(r, direction).plus, shots, rng);
+        });
+        return counts;
+    },
+    
+    // r_i = (n₊ − n₋)/N_i; can land outside the ball for small N
+    linearInversion(counts) {
+        const r = {};
+        this.axes.forEach(axis => {
+            const { plus, minus } = counts[axis];
+            r[axis] = plus + minus > 0 ? (plus - minus) / (plus + minus) : 0;
+        });
+        return r;
+    },
+    
+    /**
+     * Maximum-likelihood estimate over the physical ball |r| ≤ 1.
+     * The log-likelihood Σ n₊ log(1 + r_i) + n₋ log(1 − r_i) separates per axis,
+     * so inside the ball the optimum is the linear inversion. Otherwise it sits
+     * on the sphere, and we bisect on the Lagrange multiplier λ until |r(λ)| = 1.
+     */
+    maximumLikelihood(counts) {
+        const linear = this.linearInversion(counts);
+        if (Math.hypot(linear.x, linear.y, linear.z) <= 1) return linear;
+        
+        // Root of n₊/(1 + r) − n₋/(1 − r) − 2λr, decreasing in r on (−1, 1)
+        const solveAxis = ({ plus, minus }, lambda) => {
+            let lo = -1 + 1e-12;
+            let hi = 1 - 1e-12;
+            for (let i = 0; i < 100; i++) {
+                const mid = (lo + hi) / 2;
+                const g = plus / (1 + mid) - minus / (1 - mid) - 2 * lambda * mid;
+                if (g > 0) lo = mid;
+                else hi = mid;
+            }
+            return (lo + hi) / 2;
+        };
+        const vectorAt = (lambda) => {
+            const r = {};
+            this.axes.forEach(axis => { r[axis] = solveAxis(counts[axis], lambda); });
+            return r;
+        };
+        
+        // |r(λ)| shrinks as λ grows; bracket and bisect for the unit sphere
+        let lo = 0;
+        let hi = 1;
+        const norm = (r) => Math.hypot(r.x, r.y, r.z);
+        while (norm(vectorAt(hi)) > 1) hi *= 2;
+        for (let i = 0; i < 100; i++) {
+            const mid = (lo + hi) / 2;
+            if (norm(vectorAt(mid)) > 1) lo = mid;
+            else hi = mid;
+        }
+        
+        const r = vectorAt(hi);
+        const length = norm(r);
+        return { x: r.x / length, y: r.y / length, z: r.z / length };
+    }
+};
+
+// Small seeded PRNG (mulberry32) returning floats in [0, 1)
+function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Single-qubit noise channels given by their Kraus operators.
+ * `strength` is the channel's probability parameter in [0, 1].
+ * Pages can add channels of their own with `define`.
+ */
+const NoiseChannels = {
+    definitions: {
+        damping: { label: 'Amplitude damping (T1)', kraus: (gamma) => [
+            QuantumGates.fromReal([[1, 0], [0, Math.sqrt(1 - gamma)]]),
+            QuantumGates.fromReal([[0, Math.sqrt(gamma)], [0, 0]])
+        ] },
+        dephasing: { label: 'Phase damping (T2)', kraus: (lambda) => [
+            QuantumGates.fromReal([[1, 0], [0, Math.sqrt(1 - lambda)]]),
+            QuantumGates.fromReal([[0, 0], [0, Math.sqrt(lambda)]])
+        ] },
+        // ρ → (1 − p)ρ + p·I/2
+        depolarizing: { label: 'Depolarizing', kraus: (p) => [
+            QuantumGates.fromReal([[1, 0], [0, 1]], Math.sqrt(1 - 3 * p / 4)),
+            ...['x', 'y', 'z'].map(g => QuantumGates.matrix(g).map(row => row.map(v => v.scale(Math.sqrt(p / 4)))))
+        ] },
+        bitflip: { label: 'Bit flip', kraus: (p) => [
+            QuantumGates.fromReal([[1, 0], [0, 1]], Math.sqrt(1 - p)),
+            QuantumGates.fromReal([[0, 1], [1, 0]], Math.sqrt(p))
+        ] },
+        phaseflip: { label: 'Phase flip', kraus: (p) => [
+            QuantumGates.fromReal([[1, 0], [0, 1]], Math.sqrt(1 - p)),
+            QuantumGates.fromReal([[1, 0], [0, -1]], Math.sqrt(p))
+        ] }
+    },
+    
+    // Kraus operators for `name` at the given strength, or null if unknown
+    kraus(name, strength) {
+        if (!Object.hasOwn(this.definitions, name) || !Number.isFinite(strength)) return null;
+        const def = this.definitions[name];
+        return def.kraus(Math.max(0, Math.min(1, strength)));
+    },
+    
+    /**
+     * Add a channel from its Kraus operators: either a fixed list of 2×2
+     * matrices (entries as in QuantumGates.parseMatrix), applied with
+     * probability `strength` as ρ → (1 − p)ρ + p·E(ρ), or a function from the
+     * strength to such a list. Throws ValidationError unless ΣK†K = I, which is
+     * checked at strengths 0, ¼, ½, ¾ and 1 for a function.
+     */
+    define(name, kraus, { label = name } = {}) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][\w-]*$/.test(name)) {
+            throw new ValidationError('expected a letter followed by letters, digits, _ or -', 'name');
+        }
+        if (name === '__proto__') {
+            throw new ValidationError('"__proto__" is reserved', 'name');
+        }
+        if (Object.hasOwn(this.definitions, name)) {
+            throw new ValidationError(`channel "${name}" is already defined`, 'name');
+        }
+        if (typeof label !== 'string' || !label.trim()) {
+            throw new ValidationError('expected a non-empty string', 'label');
+        }
+        
+        let channel;
+        if (typeof kraus === 'function') {
+            channel = (p) => this.parseKraus(kraus(p), `kraus(${p})`);
+            [0, 0.25, 0.5, 0.75, 1].forEach(channel);
+        } else {
+            const ops = this.parseKraus(kraus, 'kraus');
+            const identity = QuantumGates.fromReal([[1, 0], [0, 1]]);
+            const scale = (m, f) => m.map(row => row.map(v => v.scale(f)));
+            channel = (p) => [scale(identity, Math.sqrt(1 - p)), ...ops.map(m => scale(m, Math.sqrt(p)))];
+        }
+        
+        this.definitions[name] = { label, custom: true, kraus: channel };
+        return this.definitions[name];
+    },
+    
+    // Non-empty list of Kraus matrices with ΣK†K = I (trace preserving; Kraus form is always CP)
+    parseKraus(ops, path) {
+        if (!Array.isArray(ops) || !ops.length) {
+            throw new ValidationError('expected a non-empty array of 2×2 Kraus operators', path);
+        }
+        const matrices = ops.map((m, i) => QuantumGates.parseMatrix(m, `${path}[${i}]`));
+        const sum = matrices
+            .map(m => QuantumGates.multiply(QuantumGates.dagger(m), m))
+            .reduce((a, b) => a.map((row, i) => row.map((v, j) => v.add(b[i][j]))));
+        const error = Math.max(...[0, 1].flatMap(i => [0, 1].map(j => sum[i][j].sub(new Complex(i === j ? 1 : 0)).abs())));
+        if (error > 1e-6) {
+            throw new ValidationError(`not trace preserving: ΣK†K differs from I by up to ${error.toPrecision(3)}`, path);
+        }
+        return matrices;
+    }
+};
+
+/**
+ * Single-qubit state stored as its Bloch vector r = (x, y, z):
+ * |r| = 1 for pure states, |r| < 1 for mixed ones. Operations return new states.
+ */
+class QubitState {
+    constructor(x = 0, y = 0, z = 1) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+    }
+    
+    static fromAngles(theta, phi, radius = 1) {
+        return new QubitState(
+            radius * Math.sin(theta) * Math.cos(phi),
+            radius * Math.sin(theta) * Math.sin(phi),
+            radius * Math.cos(theta)
+        );
+    }
+    
+    // α|0⟩ + β|1⟩, normalized; the global phase drops out
+    static fromAmplitudes(alpha, beta) {
+        const norm = Math.hypot(alpha.abs(), beta.abs());
+        if (norm < 1e-12) {
+            throw new ValidationError('amplitudes must not both be zero');
+        }
+        return QubitState.fromDensityMatrix(DensityMatrix.fromAmplitudes(alpha.scale(1 / norm), beta.scale(1 / norm)));
+    }
+    
+    static fromDensityMatrix(rho) {
+        const { x, y, z } = rho.blochVector();
+        return new QubitState(x, y, z);
+    }
+    
+    /**
+     * Read α|0⟩ + β|1⟩ as typed: { norm, globalPhase, state }. norm is √(|α|² + |β|²)
+     * before normalizing; globalPhase is arg α (arg β when α = 0), which no
+     * measurement and no point on the sphere can show.
+     */
+    static decompose(alpha, beta) {
+        const norm = Math.hypot(alpha.abs(), beta.abs());
+        const lead = alpha.abs() > 1e-12 ? alpha : beta;
+        return { norm, globalPhase: lead.arg(), state: QubitState.fromAmplitudes(alpha, beta) };
+    }
+    
+    blochVector() {
+        return { x: this.x, y: this.y, z: this.z };
+    }
+    
+    radius() {
+        return Math.hypot(this.x, this.y, this.z);
+    }
+    
+    isPure(tolerance = 1e-9) {
+        return this.radius() > 1 - tolerance;
+    }
+    
+    // { theta, phi, radius }; φ is 0 at the poles and both angles are 0 at the centre
+    angles() {
+        // Clamp rounding noise so pure states report exactly radius 1
+        const radius = Math.min(this.radius(), 1);
+        if (radius < 1e-10) {
+            return { theta: 0, phi: 0, radius: 0 };
+        }
+        
+        const theta = Math.acos(Math.max(-1, Math.min(1, this.z / radius)));
+        if (Math.hypot(this.x, this.y) < 1e-10 * radius) {
+            return { theta, phi: 0, radius };
+        }
+        
+        let phi = Math.atan2(this.y, this.x);
+        if (phi < 0) phi += 2 * Math.PI;
+        return { theta, phi, radius };
+    }
+    
+    // [α, β] with α real and non-negative, or null for a mixed state
+    amplitudes() {
+        if (!this.isPure()) return null;
+        const { theta, phi } = this.angles();
+        return [new Complex(Math.cos(theta / 2)), Complex.fromPolar(Math.sin(theta / 2), phi)];
+    }
+    
+    densityMatrix() {
+        return DensityMatrix.fromBlochVector(this);
+    }
+    
+    applyUnitary(matrix) {
+        return QubitState.fromDensityMatrix(this.densityMatrix().applyUnitary(matrix));
+    }
+    
+    // New state after a gate from QuantumGates, or null if the gate is unknown
+    applyGate(name, params = []) {
+        const matrix = QuantumGates.matrix(name, params);
+        return matrix ? this.applyUnitary(matrix) : null;
+    }
+    
+    // New state after a channel from NoiseChannels, or null if the channel is unknown
+    applyChannel(name, strength) {
+        const ops = NoiseChannels.kraus(name, strength);
+        return ops ? QubitState.fromDensityMatrix(this.densityMatrix().applyKraus(ops)) : null;
+    }
+    
+    // Outcome probabilities along a unit axis (Z by default)
+    probabilities(axis = { x: 0, y: 0, z: 1 }) {
+        return Measurement.probabilities(this, axis);
+    }
+    
+    // Projective measurement: { outcome: 'plus' | 'minus', probability, state }
+    measure(axis = { x: 0, y: 0, z: 1 }, rng = Math.random) {
+        const { plus } = this.probabilities(axis);
+        const outcome = rng() < plus ? 'plus' : 'minus';
+        const sign = outcome === 'plus' ? 1 : -1;
+        return {
+            outcome,
+            probability: outcome === 'plus' ? plus : 1 - plus,
+            state: new QubitState(sign * axis.x, sign * axis.y, sign * axis.z)
+        };
+    }
+    
+    fidelity(other) {
+        return this.densityMatrix().fidelity(other.densityMatrix());
+    }
+    
+    traceDistance(other) {
+        return this.densityMatrix().traceDistance(other.densityMatrix());
+    }
+    
+    // Angle between the two Bloch vectors in radians; null if either is the centre of the ball
+    blochAngle(other) {
+        const r = this.blochVector();
+        const s = other.blochVector();
+        const lengths = Math.hypot(r.x, r.y, r.z) * Math.hypot(s.x, s.y, s.z);
+        if (lengths < 1e-12) return null;
+        return Math.acos(Math.max(-1, Math.min(1, (r.x * s.x + r.y * s.y + r.z * s.z) / lengths)));
+    }
+    
+    // Pure states as { theta, phi } in radians, mixed ones as { rho }
+    toJSON() {
+        if (this.isPure()) {
+            const { theta, phi } = this.angles();
+            return { theta, phi };
+        }
+        return { rho: this.densityMatrix().toJSON() };
+    }
+    
+    // Accepts { theta, phi }, { rho } or { bloch: [x, y, z] }
+    static fromJSON(data, path = '') {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new ValidationError('expected a state object', path);
+        }
+        
+        if ('rho' in data) {
+            return QubitState.fromDensityMatrix(DensityMatrix.fromJSON(data.rho, path ? `${path}.rho` : 'rho'));
+        }
+        
+        if ('bloch' in data) {
+            const bloch = data.bloch;
+            if (!Array.isArray(bloch) || bloch.length !== 3 || !bloch.every(Number.isFinite)) {
+                throw new ValidationError('bloch must be [x, y, z]', path);
+            }
+            const state = new QubitState(...bloch);
+            if (state.radius() > 1 + 1e-6) {
+                throw new ValidationError(`Bloch vector length ${state.radius().toFixed(4)} exceeds 1`, path);
+            }
+            return state;
+        }
+        
+        if (Number.isFinite(data.theta) && Number.isFinite(data.phi)) {
+            return QubitState.fromAngles(data.theta, data.phi);
+        }
+        throw new ValidationError('expected { theta, phi }, { rho } or { bloch }', path);
+    }
+}
+
+/**
+ * Two-qubit gate library.
+ * Gates are 4×4 unitaries in the basis |00⟩, |01⟩, |10⟩, |11⟩ with qubit A
+ * on the left; as written, the control of CNOT is A.
+ */
+const TwoQubitGates = {
+    definitions: {
+        cnot: { label: 'CNOT', params: [], matrix: () => TwoQubitGates.permutation([0, 1, 3, 2]) },
+        cz:   { label: 'CZ',   params: [], matrix: () => TwoQubitGates.diagonal([0, 0, 0, Math.PI]) },
+        swap: { label: 'SWAP', params: [], matrix: () => TwoQubitGates.permutation([0, 2, 1, 3]) },
+        cp:   { label: 'CP',   params: ['λ'], matrix: (lambda) => TwoQubitGates.diagonal([0, 0, 0, lambda]) }
+    },
+    
+    // Unitary for `name` with qubit `control` (0 = A, 1 = B) as control, or null if unknown
+    matrix(name, params = [], control = 0) {
+        const def = this.definitions[name];
+        if (!def || params.length < def.params.length) return null;
+        if (params.slice(0, def.params.length).some(p => !Number.isFinite(p))) return null;
+        const m = def.matrix(...params);
+        if (control === 0) return m;
+        // Relabel the qubits: SWAP · U · SWAP
+        const order = [0, 2, 1, 3];
+        return order.map(i => order.map(j => m[i][j]));
+    },
+    
+    // e.g. "CNOT A→B" or "CP(90°)"; CZ, CP and SWAP are symmetric so need no arrow
+    describe(name, params = [], control = 0) {
+        const def = this.definitions[name];
+        if (!def) return name;
+        const degrees = params.slice(0, def.params.length).map(p => `${+(p * 180 / Math.PI).toFixed(1)}°`);
+        const label = degrees.length ? `${def.label}(${degrees.join(', ')})` : def.label;
+        return name === 'cnot' ? `${label} ${control === 0 ? 'A→B' : 'B→A'}` : label;
+    },
+    
+    // Matrix sending basis state j to basis state order[j]
+    permutation(order) {
+        return order.map((_, i) => order.map(target => new Complex(target === i ? 1 : 0)));
+    },
+    
+    diagonal(phases) {
+        return phases.map((phase, i) => phases.map((_, j) => i === j ? Complex.fromPolar(1, phase) : new Complex(0)));
+    }
+};
+
+/**
+ * Pure two-qubit state c₀₀|00⟩ + c₀₁|01⟩ + c₁₀|10⟩ + c₁₁|11⟩, immutable like QubitState.
+ * Qubit A is the left one; reduced() gives each qubit's own (generally mixed) state.
+ */
+class TwoQubitState {
+    constructor(amplitudes = [new Complex(1), new Complex(0), new Complex(0), new Complex(0)]) {
+        this.amplitudes = amplitudes;
+    }
+    
+    // Normalized, with the global phase fixed so the first non-zero amplitude is real and positive
+    static fromAmplitudes(amplitudes) {
+        const norm = Math.hypot(...amplitudes.map(c => c.abs()));
+        if (norm < 1e-12) {
+            throw new ValidationError('amplitudes must not all be zero');
+        }
+        const lead = amplitudes.find(c => c.abs() > 1e-9);
+        const unphase = Complex.fromPolar(1 / norm, -lead.arg());
+        return new TwoQubitState(amplitudes.map(c => c.mul(unphase)));
+    }
+    
+    // |a⟩ ⊗ |b⟩ for two pure QubitStates
+    static product(a, b) {
+        const ampsA = a.amplitudes();
+        const ampsB = b.amplitudes();
+        if (!ampsA || !ampsB) {
+            throw new ValidationError('a product state needs two pure qubit states');
+        }
+        return new TwoQubitState([0, 1, 2, 3].map(i => ampsA[i >> 1].mul(ampsB[i & 1])));
+    }
+    
+    // Single-qubit gate from QuantumGates on qubit 0 (A) or 1 (B), or null if unknown
+    applyGate(name, params = [], qubit = 0) {
+        const u = QuantumGates.matrix(name, params);
+        if (!u) return null;
+        const c = this.amplitudes;
+        const next = [0, 1, 2, 3].map(i => {
+            const [a, b] = [i >> 1, i & 1];
+            // Sum over the targeted qubit's input value k, the other qubit fixed
+            return [0, 1].reduce((sum, k) => {
+                const j = qubit === 0 ? (k << 1) | b : (a << 1) | k;
+                return sum.add(u[qubit === 0 ? a : b][k].mul(c[j]));
+            }, new Complex(0));
+        });
+        return TwoQubitState.fromAmplitudes(next);
+    }
+    
+    // Gate from TwoQubitGates with `control` as its control qubit, or null if unknown
+    applyTwoQubitGate(name, params = [], control = 0) {
+        const m = TwoQubitGates.matrix(name, params, control);
+        if (!m) return null;
+        const c = this.amplitudes;
+        return TwoQubitState.fromAmplitudes(m.map(row => row.reduce((sum, v, j) => sum.add(v.mul(c[j])), new Complex(0))));
+    }
+    
+    // Partial trace over the other qubit: ρ_A = Tr_B |ψ⟩⟨ψ| (qubit 0) or ρ_B (qubit 1)
+    reduced(qubit) {
+        const c = this.amplitudes;
+        const index = (mine, other) => qubit === 0 ? (mine << 1) | other : (other << 1) | mine;
+        const entries = [0, 1].map(i => [0, 1].map(j =>
+            [0, 1].reduce((sum, k) => sum.add(c[index(i, k)].mul(c[index(j, k)].conj())), new Complex(0))
+        ));
+        return new DensityMatrix(entries);
+    }
+    
+    // Reduced state of qubit 0 (A) or 1 (B) as a QubitState inside the Bloch ball
+    qubit(qubit) {
+        return QubitState.fromDensityMatrix(this.reduced(qubit));
+    }
+    
+    // Wootters concurrence, 2|c₀₀c₁₁ − c₀₁c₁₀| for pure states: 0 for product states, 1 for Bell states
+    concurrence() {
+        const [c00, c01, c10, c11] = this.amplitudes;
+        return Math.min(1, 2 * c00.mul(c11).sub(c01.mul(c10)).abs());
+    }
+    
+    // Entanglement entropy S(ρ_A) = S(ρ_B), in bits
+    entanglementEntropy() {
+        return this.reduced(0).entropy();
+    }
+    
+    // [P(00), P(01), P(10), P(11)]
+    probabilities() {
+        return this.amplitudes.map(c => c.abs() ** 2);
+    }
+    
+    // Joint Z measurement of both qubits: { outcome: '00' … '11', probability, state }
+    measure(rng = Math.random) {
+        const probabilities = this.probabilities();
+        let u = rng();
+        let index = probabilities.findIndex(p => (u -= p) < 0);
+        if (index < 0) index = probabilities.length - 1; // rounding left u a hair above 0
+        return {
+            outcome: index.toString(2).padStart(2, '0'),
+            probability: probabilities[index],
+            state: new TwoQubitState([0, 1, 2, 3].map(i => new Complex(i === index ? 1 : 0)))
+        };
+    }
+}
+
+/**
+ * Gate synthesis: sequences of { gate, params } steps that rotate the Bloch
+ * vector `from` onto the direction of `to` ({ x, y, z } objects). Unitaries
+ * keep the vector's length, so only directions are compared; `error` is the
+ * trace distance ½|n − m| between the reached and the target directions.
+ * Every solver returns { steps, error, reached, curve }, where curve lists the
+ * best error found at each sequence length that improved on the shorter ones.
+ */
+const Synthesis = {
+    gateSets: {
+        zyz:       { label: 'Rz/Ry (exact ZYZ)' },
+        clifford:  { label: 'Clifford {H, S}', gates: ['h', 's'] },
+        cliffordT: { label: 'Clifford+T', gates: ['h', 's', 'sdg', 't', 'tdg'] }
+    },
+    
+    // Gates that undo each other, cancelled where a search joins two paths
+    inverses: { h: 'h', s: 'sdg', sdg: 's', t: 'tdg', tdg: 't' },
+    
+    solve(gateSet, from, to, { precision = 1e-2, budget = 30000 } = {}) {
+        if (gateSet === 'zyz') return this.zyz(from, to);
+        if (gateSet === 'clifford') return this.clifford(from, to);
+        if (gateSet === 'cliffordT') return this.cliffordT(from, to, { precision, budget });
+        throw new ValidationError(`unknown gate set "${gateSet}"`);
+    },
+    
+    // Rz(−φ₁) turns n into the XZ plane, Ry(θ₂ − θ₁) tilts it to θ₂ and Rz(φ₂) turns it onto m
+    zyz(from, to) {
+        const n = this.direction(from, 'from');
+        const m = this.direction(to, 'to');
+        const polar = v => Math.acos(Math.max(-1, Math.min(1, v[2])));
+        const [theta1, phi1] = [polar(n), Math.atan2(n[1], n[0])];
+        const [theta2, phi2] = [polar(m), Math.atan2(m[1], m[0])];
+        
+        // On the Z axis φ means nothing and the Rz would be a no-op
+        const steps = [
+            Math.hypot(n[0], n[1]) > 1e-12 && { gate: 'rz', params: [-phi1] },
+            { gate: 'ry', params: [theta2 - theta1] },
+            Math.hypot(m[0], m[1]) > 1e-12 && { gate: 'rz', params: [phi2] }
+        ].filter(step => step && Math.abs(this.wrapAngle(step.params[0])) > 1e-12)
+            .map(({ gate, params }) => ({ gate, params: [this.wrapAngle(params[0])] }));
+        
+        return this.result(n, m, steps, [steps], 1e-9);
+    },
+    
+    // The Clifford group moves a state around an orbit of at most 24 points, so search all of it
+    clifford(from, to) {
+        const n = this.direction(from, 'from');
+        const m = this.direction(to, 'to');
+        const nodes = this.explore(n, this.rotations(this.gateSets.clifford.gates), Infinity);
+        return this.result(n, m, null, nodes.map(node => this.path(nodes, node)), 1e-9);
+    },
+    
+    /**
+     * Meet in the middle: explore forward from n and backward from m, then join
+     * pairs of nodes that lie close to each other. `budget` caps the nodes
+     * explored on each side.
+     */
+    cliffordT(from, to, { precision = 1e-2, budget = 30000 } = {}) {
+        if (!(precision > 0)) {
+            throw new ValidationError('precision must be a positive number');
+        }
+        const n = this.direction(from, 'from');
+        const m = this.direction(to, 'to');
+        const rotations = this.rotations(this.gateSets.cliffordT.gates);
+        const forward = this.explore(n, rotations, budget);
+        // Backward edges apply the inverse rotation but keep the forward gate's name
+        const backward = this.explore(m, rotations.map(({ gate, matrix }) => ({ gate, matrix: this.transpose(matrix) })), budget);
+        
+        // Best join per total length; joining two nodes a, b plays a's path then b's path reversed
+        const best = [];
+        const consider = (error, forwardNode, backwardNode) => {
+            const length = forwardNode.length + backwardNode.length;
+            if (!best[length] || error < best[length].error) {
+                best[length] = { error, forwardNode, backwardNode };
+            }
+        };
+        forward.forEach(a => consider(this.distance(a.v, m) / 2, a, backward[0]));
+        backward.forEach(b => consider(this.distance(n, b.v) / 2, forward[0], b));
+        
+        // Bucket the forward nodes so each backward node only checks its neighbours.
+        // A few times the spacing of the explored points, whatever the precision asked for
+        const cell = 0.02;
+        const cellOf = v => v.map(c => Math.floor(c / cell));
+        const grid = new Map();
+        forward.forEach(a => {
+            const key = cellOf(a.v).join();
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(a);
+        });
+        backward.forEach(b => {
+            const [i, j, k] = cellOf(b.v);
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    for (let dk = -1; dk <= 1; dk++) {
+                        (grid.get([i + di, j + dj, k + dk].join()) || []).forEach(a => {
+                            consider(this.distance(a.v, b.v) / 2, a, b);
+                        });
+                    }
+                }
+            }
+        });
+        
+        const candidates = best.filter(Boolean).map(({ forwardNode, backwardNode }) =>
+            this.path(forward, forwardNode).concat(this.path(backward, backwardNode).reverse()));
+        return this.result(n, m, null, candidates, precision);
+    },
+    
+    /**
+     * Pick the answer among candidate sequences: the shortest one within
+     * `precision`, or the most accurate one if none is. The curve keeps each
+     * length whose error beats every shorter candidate.
+     */
+    result(n, m, steps, candidates, precision) {
+        const scored = candidates.map(sequence => {
+            const simplified = this.simplify(sequence);
+            return { steps: simplified, error: this.distance(this.applySteps(n, simplified), m) / 2 };
+        }).sort((a, b) => a.steps.length - b.steps.length || a.error - b.error);
+        
+        const curve = [];
+        scored.forEach(({ steps: sequence, error }) => {
+            const last = curve[curve.length - 1];
+            if (!last || error < last.error - 1e-12) {
+                curve.push({ length: sequence.length, error });
+            }
+        });
+        
+        const chosen = scored.find(candidate => candidate.error <= precision) ||
+            scored.reduce((a, b) => (b.error < a.error ? b : a));
+        return { steps: steps || chosen.steps, error: chosen.error, reached: chosen.error <= precision, curve };
+    },
+    
+    // Breadth-first over the distinct vectors reachable from v: { v, parent, gate, length }
+    explore(v, rotations, budget) {
+        const nodes = [{ v, parent: -1, gate: null, length: 0 }];
+        const seen = new Set([this.key(v)]);
+        for (let i = 0; i < nodes.length && nodes.length < budget; i++) {
+            for (const { gate, matrix } of rotations) {
+                const next = this.rotate(matrix, nodes[i].v);
+                const key = this.key(next);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                nodes.push({ v: next, parent: i, gate, length: nodes[i].length + 1 });
+                if (nodes.length >= budget) break;
+            }
+        }
+        return nodes;
+    },
+    
+    // Gates from the root of explore() to `node`, in the order they were applied
+    path(nodes, node) {
+        const steps = [];
+        for (let current = node; current.parent >= 0; current = nodes[current.parent]) {
+            steps.unshift({ gate: current.gate, params: [] });
+        }
+        return steps;
+    },
+    
+    // Cancel neighbouring gate pairs that undo each other, e.g. T·T†
+    simplify(steps) {
+        const out = [];
+        steps.forEach(step => {
+            const last = out[out.length - 1];
+            if (last && !step.params.length && this.inverses[last.gate] === step.gate) {
+                out.pop();
+            } else {
+                out.push(step);
+            }
+        });
+        return out;
+    },
+    
+    // 3×3 Bloch-sphere rotation of each gate, by Rodrigues' formula
+    rotations(gates) {
+        return gates.map(gate => {
+            const { axis: [x, y, z], angle } = QuantumGates.rotation(gate);
+            const [c, s, t] = [Math.cos(angle), Math.sin(angle), 1 - Math.cos(angle)];
+            return {
+                gate,
+                matrix: [
+                    [t * x * x + c,     t * x * y - s * z, t * x * z + s * y],
+                    [t * x * y + s * z, t * y * y + c,     t * y * z - s * x],
+                    [t * x * z - s * y, t * y * z + s * x, t * z * z + c]
+                ]
+            };
+        });
+    },
+    
+    applySteps(v, steps) {
+        const state = steps.reduce((s, { gate, params }) => s.applyGate(gate, params), new QubitState(...v));
+        const { x, y, z } = state.blochVector();
+        return this.normalize([x, y, z]);
+    },
+    
+    direction({ x, y, z }, path) {
+        if (![x, y, z].every(Number.isFinite)) {
+            throw new ValidationError('expected a Bloch vector { x, y, z }', path);
+        }
+        if (Math.hypot(x, y, z) < 1e-9) {
+            throw new ValidationError('the maximally mixed state has no direction to rotate', path);
+        }
+        return this.normalize([x, y, z]);
+    },
+    
+    normalize(v) {
+        const length = Math.hypot(...v);
+        return v.map(c => c / length);
+    },
+    
+    rotate(m, v) {
+        return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+    },
+    
+    transpose(m) {
+        return m[0].map((_, j) => m.map(row => row[j]));
+    },
+    
+    distance(a, b) {
+        return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+    },
+    
+    // Rounded so that float noise doesn't make one vector look like two
+    key(v) {
+        return v.map(c => Math.round(c * 1e9)).join();
+    },
+    
+    // Into (−π, π]
+    wrapAngle(angle) {
+        const wrapped = angle - 2 * Math.PI * Math.floor(angle / (2 * Math.PI));
+        return wrapped > Math.PI ? wrapped - 2 * Math.PI : wrapped;
+    }
+};
+
+/**
+ * Versioned JSON documents describing what's on screen: state, gate sequence,
+ * camera and display settings. Only `state` is required.
+ */
+const Serialization = {
+    FORMAT: 'bloch-sphere',
+    VERSION: 1,
+    
+    createDocument({ state, sequence = null, camera = null, settings = null }) {
+        const doc = { format: this.FORMAT, version: this.VERSION, state: state.toJSON() };
+        if (sequence) {
+            doc.sequence = {
+                gates: sequence.gates.map(({ gate, params }) => ({ gate, params: params.slice() })),
+                position: sequence.position,
+                start: sequence.start.toJSON()
+            };
+        }
+        if (camera) doc.camera = camera;
+        if (settings) doc.settings = settings;
+        return doc;
+    },
+    
+    // Validate a document (object or JSON text) and return its parts with a live QubitState
+    parseDocument(input) {
+        let doc = input;
+        if (typeof input === 'string') {
+            try {
+                doc = JSON.parse(input);
+            } catch (err) {
+                throw new ValidationError(`not valid JSON (${err.message})`);
+            }
+        }
+        
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new ValidationError('expected a JSON object');
+        }
+        if (doc.format !== this.FORMAT) {
+            throw new ValidationError(`expected "${this.FORMAT}", got ${JSON.stringify(doc.format)}`, 'format');
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            throw new ValidationError('must be a positive integer', 'version');
+        }
+        if (doc.version > this.VERSION) {
+            throw new ValidationError(`document is version ${doc.version}, this page reads up to ${this.VERSION}`, 'version');
+        }
+        if (!('state' in doc)) {
+            throw new ValidationError('missing', 'state');
+        }
+        
+        const result = { state: QubitState.fromJSON(doc.state, 'state'), sequence: null, camera: null, settings: null };
+        
+        if (doc.sequence !== undefined) {
+            const { sequence } = doc;
+            if (!sequence || typeof sequence !== 'object') {
+                throw new ValidationError('expected an object', 'sequence');
+            }
+            const gates = this.parseGateList(sequence.gates, 'sequence.gates');
+            const position = sequence.position === undefined ? 0 : sequence.position;
+            if (!Number.isInteger(position) || position < 0 || position > gates.length) {
+                throw new ValidationError(`must be an integer from 0 to ${gates.length}`, 'sequence.position');
+            }
+            const start = sequence.start === undefined ? result.state : QubitState.fromJSON(sequence.start, 'sequence.start');
+            result.sequence = { gates, position, start };
+        }
+        
+        if (doc.camera !== undefined) {
+            const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+            if (!doc.camera || !isVector(doc.camera.position) || !isVector(doc.camera.target)) {
+                throw new ValidationError('expected { position: [x, y, z], target: [x, y, z] }', 'camera');
+            }
+            result.camera = { position: doc.camera.position.slice(), target: doc.camera.target.slice() };
+        }
+        
+        if (doc.settings !== undefined) {
+            if (!doc.settings || typeof doc.settings !== 'object') {
+                throw new ValidationError('expected an object', 'settings');
+            }
+            result.settings = {};
+            Object.entries(doc.settings).forEach(([key, value]) => {
+                if (typeof value !== 'boolean') {
+                    throw new ValidationError('expected true or false', `settings.${key}`);
+                }
+                result.settings[key] = value;
+            });
+        }
+        
+        return result;
+    },
+    
+    // [{ gate, params }] with known gate names and the right number of angles
+    parseGateList(list, path = 'gates') {
+        if (!Array.isArray(list)) {
+            throw new ValidationError('expected an array', path);
+        }
+        return list.map((step, i) => {
+            const at = `${path}[${i}]`;
+            // Own keys only, so "toString" and friends read as unknown gates
+            const def = step && Object.hasOwn(QuantumGates.definitions, step.gate) && QuantumGates.definitions[step.gate];
+            if (!def) {
+                throw new ValidationError(`unknown gate ${JSON.stringify(step && step.gate)}`, at);
+            }
+            const params = step.params === undefined ? [] : step.params;
+            if (!Array.isArray(params) || params.length !== def.params.length || !params.every(Number.isFinite)) {
+                throw new ValidationError(`${def.label} takes ${def.params.length} angle(s) in radians`, `${at}.params`);
+            }
+            return { gate: step.gate, params: params.slice() };
+        });
+    }
+};
+
+/**
+ * Problem sets for the exercise mode, written by instructors as JSON:
+ *
+ *   { "format": "bloch-sphere-exercises", "version": 1, "title": "Week 3",
+ *     "problems": [{ "title": "Make |+⟩", "description": "…",
+ *                    "start": "0", "target": "+", "show": "ghost",
+ *                    "gates": ["h", "z"], "maxSteps": 1, "tolerance": 0.01,
+ *                    "hints": ["…"] }] }
+ *
+ * States are 0, 1, +, -, i, -i or a state object as in Serialization
+ * ({ theta, phi }, { bloch } or { rho }); start defaults to |0⟩. "show" is
+ * "ghost" (a faint target arrow, the default) or "statistics" (only X, Y and Z
+ * measurement results, simulated over "shots" if given, else exact). A problem
+ * is solved at fidelity ≥ 1 − tolerance; maxSteps is optional.
+ */
+const Exercises = {
+    FORMAT: 'bloch-sphere-exercises',
+    VERSION: 1,
+    
+    // Named states as Bloch vectors
+    namedStates: {
+        '0': [0, 0, 1], '1': [0, 0, -1],
+        '+': [1, 0, 0], '-': [-1, 0, 0],
+        'i': [0, 1, 0], '-i': [0, -1, 0]
+    },
+    
+    // Validate a problem set (object or JSON text); states come back as QubitStates
+    parseProblemSet(input) {
+        let doc = input;
+        if (typeof input === 'string') {
+            try {
+                doc = JSON.parse(input);
+            } catch (err) {
+                throw new ValidationError(`not valid JSON (${err.message})`);
+            }
+        }
+        
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new ValidationError('expected a JSON object');
+        }
+        if (doc.format !== this.FORMAT) {
+            throw new ValidationError(`expected "${this.FORMAT}", got ${JSON.stringify(doc.format)}`, 'format');
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            throw new ValidationError('must be a positive integer', 'version');
+        }
+        if (doc.version > this.VERSION) {
+            throw new ValidationError(`problem set is version ${doc.version}, this page reads up to ${this.VERSION}`, 'version');
+        }
+        if (!Array.isArray(doc.problems) || !doc.problems.length) {
+            throw new ValidationError('expected a non-empty array', 'problems');
+        }
+        
+        return {
+            title: this.optionalString(doc.title, 'title', 'Exercises'),
+            problems: doc.problems.map((problem, i) => this.parseProblem(problem, `problems[${i}]`, i))
+        };
+    },
+    
+    parseProblem(problem, path, index) {
+        if (!problem || typeof problem !== 'object' || Array.isArray(problem)) {
+            throw new ValidationError('expected an object', path);
+        }
+        if (!('target' in problem)) {
+            throw new ValidationError('missing', `${path}.target`);
+        }
+        
+        const show = problem.show === undefined ? 'ghost' : problem.show;
+        if (show !== 'ghost' && show !== 'statistics') {
+            throw new ValidationError('expected "ghost" or "statistics"', `${path}.show`);
+        }
+        
+        if (!Array.isArray(problem.gates) || !problem.gates.length) {
+            throw new ValidationError('expected a non-empty array of gate names', `${path}.gates`);
+        }
+        problem.gates.forEach((gate, i) => {
+            if (!Object.hasOwn(QuantumGates.definitions, gate)) {
+                throw new ValidationError(`unknown gate ${JSON.stringify(gate)}`, `${path}.gates[${i}]`);
+            }
+        });
+        
+        const maxSteps = problem.maxSteps === undefined ? null : problem.maxSteps;
+        if (maxSteps !== null && !(Number.isInteger(maxSteps) && maxSteps >= 1)) {
+            throw new ValidationError('must be a positive integer', `${path}.maxSteps`);
+        }
+        const tolerance = problem.tolerance === undefined ? 0.01 : problem.tolerance;
+        if (!(Number.isFinite(tolerance) && tolerance > 0 && tolerance < 1)) {
+            throw new ValidationError('must be a number between 0 and 1', `${path}.tolerance`);
+        }
+        const shots = problem.shots === undefined ? null : problem.shots;
+        if (shots !== null && !(Number.isInteger(shots) && shots >= 1 && shots <= 1e6)) {
+            throw new ValidationError('must be an integer from 1 to 1000000', `${path}.shots`);
+        }
+        const hints = problem.hints === undefined ? [] : problem.hints;
+        if (!Array.isArray(hints) || !hints.every(hint => typeof hint === 'string')) {
+            throw new ValidationError('expected an array of strings', `${path}.hints`);
+        }
+        
+        return {
+            title: this.optionalString(problem.title, `${path}.title`, `Problem ${index + 1}`),
+            description: this.optionalString(problem.description, `${path}.description`, ''),
+            start: problem.start === undefined ? new QubitState(0, 0, 1) : this.parseState(problem.start, `${path}.start`),
+            target: this.parseState(problem.target, `${path}.target`),
+            show,
+            shots,
+            gates: problem.gates.slice(),
+            maxSteps,
+            tolerance,
+            hints: hints.slice()
+        };
+    },
+    
+    // A named state ("+", "|−i⟩", …) or a state object
+    parseState(value, path) {
+        if (typeof value === 'string') {
+            const name = value.trim().replace(/^\|(.*)⟩$/, '$1').replace(/−/g, '-');
+            if (!Object.hasOwn(this.namedStates, name)) {
+                throw new ValidationError(`expected 0, 1, +, -, i, -i or a state object, got ${JSON.stringify(value)}`, path);
+            }
+            return new QubitState(...this.namedStates[name]);
+        }
+        return QubitState.fromJSON(value, path);
+    },
+    
+    optionalString(value, path, fallback) {
+        if (value === undefined) return fallback;
+        if (typeof value !== 'string') {
+            throw new ValidationError('expected a string', path);
+        }
+        return value;
+    },
+    
+    // Solved answers earn 100 × fidelity points, less 10 per hint taken (never below 0)
+    grade(problem, state, hintsUsed = 0) {
+        const fidelity = state.fidelity(problem.target);
+        const solved = fidelity >= 1 - problem.tolerance;
+        return { fidelity, solved, points: solved ? Math.max(0, Math.round(100 * fidelity) - 10 * hintsUsed) : 0 };
+    }
+};
+
+/**
+ * Evaluate a complex arithmetic expression such as "e^(i*pi/4)/sqrt(2)" or "0.8i".
+ * Supports + - * / ^ ** and parentheses, implicit multiplication ("2pi", "0.6i"),
+ * √ as a prefix, the constants i, pi/π, tau/τ and e/euler, the complex functions
+ * exp, ln, sqrt, and sin, cos, tan, asin/arcsin, acos/arccos, atan/arctan of real
+ * arguments. Throws ValidationError on anything else.
+ */
+function evaluateComplex(text) {
+    const tokens = text.match(/\d*\.?\d+(?:[eE][+-]?\d+)?|\*\*|[A-Za-zπτ_]\w*|\S/g) || [];
+    let pos = 0;
+    
+    const constants = {
+        i: new Complex(0, 1),
+        pi: new Complex(Math.PI), 'π': new Complex(Math.PI),
+        tau: new Complex(2 * Math.PI), 'τ': new Complex(2 * Math.PI),
+        e: new Complex(Math.E), euler: new Complex(Math.E)
+    };
+    const realFunctions = {
+        sin: Math.sin, cos: Math.cos, tan: Math.tan,
+        asin: Math.asin, arcsin: Math.asin, acos: Math.acos, arccos: Math.acos,
+        atan: Math.atan, arctan: Math.atan
+    };
+    const complexFunctions = {
+        exp: (z) => Complex.exp(z),
+        ln: (z) => new Complex(Math.log(z.abs()), z.arg()),
+        sqrt: (z) => Complex.fromPolar(Math.sqrt(z.abs()), z.arg() / 2)
+    };
+    
+    const peek = () => tokens[pos];
+    const expect = (token) => {
+        if (tokens[pos] !== token) {
+            throw new ValidationError(`expected "${token}" in "${text}"`);
+        }
+        pos++;
+    };
+    // Tokens that can start a factor, for implicit multiplication
+    const startsFactor = (token) => token !== undefined && /^[\d.(√]|^[A-Za-zπτ_]/.test(token);
+    
+    const parseSum = () => {
+        let value = parseProduct();
+        while (peek() === '+' || peek() === '-') {
+            value = tokens[pos++] === '+' ? value.add(parseProduct()) : value.sub(parseProduct());
+        }
+        return value;
+    };
+    const parseProduct = () => {
+        let value = parseUnary();
+        for (;;) {
+            if (peek() === '*') {
+                pos++;
+                value = value.mul(parseUnary());
+            } else if (peek() === '/') {
+                pos++;
+                value = value.div(parseUnary());
+            } else if (startsFactor(peek())) {
+                value = value.mul(parsePower());
+            } else {
+                return value;
+            }
+        }
+    };
+    const parseUnary = () => {
+        if (peek() === '-') { pos++; return parseUnary().scale(-1); }
+        if (peek() === '+') { pos++; return parseUnary(); }
+        return parsePower();
+    };
+    const parsePower = () => {
+        if (peek() === '√') {
+            pos++;
+            return complexFunctions.sqrt(parsePower());
+        }
+        const base = parsePrimary();
+        if (peek() === '^' || peek() === '**') {
+            pos++;
+            return base.pow(parseUnary());
+        }
+        return base;
+    };
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+        if (token === undefined) {
+            throw new ValidationError(`unexpected end of expression "${text}"`);
+        }
+        if (token === '(') {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+        if (/^\d|^\./.test(token)) return new Complex(parseFloat(token));
+        if (token in constants) return constants[token];
+        if (token in complexFunctions || token in realFunctions) {
+            expect('(');
+            const arg = parseSum();
+            expect(')');
+            if (token in complexFunctions) return complexFunctions[token](arg);
+            if (Math.abs(arg.imag) > 1e-12) {
+                throw new ValidationError(`${token} needs a real argument in "${text}"`);
+            }
+            return new Complex(realFunctions[token](arg.real));
+        }
+        throw new ValidationError(`unexpected "${token}" in "${text}"`);
+    };
+    
+    if (!tokens.length) {
+        throw new ValidationError('expression is empty');
+    }
+    const value = parseSum();
+    if (pos < tokens.length) {
+        throw new ValidationError(`unexpected "${tokens[pos]}" in "${text}"`);
+    }
+    if (!Number.isFinite(value.real) || !Number.isFinite(value.imag)) {
+        throw new ValidationError(`"${text}" is not a finite number`);
+    }
+    return value;
+}
+
+// Evaluate a real expression with evaluateComplex, e.g. "3*pi/4" or "-sqrt(2)/2"
+function evaluateExpression(text) {
+    const value = evaluateComplex(text);
+    if (Math.abs(value.imag) > 1e-12) {
+        throw new ValidationError(`"${text}" is not a real number`);
+    }
+    return value.real;
+}
+
+/**
+ * OpenQASM 2.0 / 3.0 import and export for single-qubit circuits.
+ * parse() returns { version, steps, errors } where steps are { gate, params, line }
+ * or { measure: true, line }, and errors are { line, message }.
+ */
+const Qasm = {
+    // QASM gate name -> [our gate, how to map its QASM parameters]
+    gateNames: {
+        id: null, x: 'x', y: 'y', z: 'z', h: 'h', s: 's', sdg: 'sdg', t: 't', tdg: 'tdg', sx: 'sx',
+        rx: 'rx', ry: 'ry', rz: 'rz', p: 'p', phase: 'p', u1: 'p',
+        u: 'u3', U: 'u3', u3: 'u3', u2: 'u2'
+    },
+    
+    parse(source) {
+        const errors = [];
+        const steps = [];
+        let version = null;
+        let qubitName = null;
+        let measuredAt = null;
+        
+        this.statements(source).forEach(({ text, line }, index) => {
+            const fail = (message) => errors.push({ line, message });
+            let match;
+            
+            if ((match = text.match(/^OPENQASM\s+(\d+(?:\.\d+)?)$/))) {
+                if (index !== 0) return fail('OPENQASM must be the first statement');
+                version = Math.floor(parseFloat(match[1]));
+                if (version !== 2 && version !== 3) fail(`unsupported OpenQASM version ${match[1]}`);
+                return;
+            }
+            if ((match = text.match(/^(gate|opaque|def|defcal|cal|if|for|while|reset|let|const|input|output|box|delay)\b/))) {
+                return fail(`unsupported instruction "${match[1]}"`);
+            }
+            if (/^include\s+"[^"]*"$/.test(text) || /^barrier\b/.test(text)) return;
+            if (/^(creg\s+\w+\s*\[\s*\d+\s*\]|bit\s*(\[\s*\d+\s*\])?\s*\w+)$/.test(text)) return;
+            
+            // qreg q[1]; / qubit[1] q; / qubit q;
+            if ((match = text.match(/^qreg\s+(\w+)\s*\[\s*(\d+)\s*\]$/) || text.match(/^qubit\s*(?:\[\s*(\d+)\s*\])?\s*(\w+)$/))) {
+                const [name, size] = text.startsWith('qreg') ? [match[1], match[2]] : [match[2], match[1] || '1'];
+                if (qubitName) return fail('only one qubit register is supported');
+                if (parseInt(size, 10) !== 1) return fail(`register ${name} has ${size} qubits; only single-qubit circuits are supported`);
+                qubitName = name;
+                return;
+            }
+            
+            // measure q[0] -> c[0]; / c[0] = measure q[0]; / measure q[0];
+            if ((match = text.match(/^measure\s+(.+?)(?:\s*->\s*.+)?$/) || text.match(/^.+?=\s*measure\s+(.+)$/))) {
+                const error = this.checkOperands(match[1], qubitName);
+                if (error) return fail(error);
+                measuredAt = line;
+                steps.push({ measure: true, line });
+                return;
+            }
+            
+            if ((match = text.match(/^([A-Za-z_]\w*)\s*(?:\((.*)\))?\s+([^()]+)$/))) {
+                const [, name, paramText, operands] = match;
+                const error = this.checkOperands(operands, qubitName, name);
+                if (error) return fail(error);
+                if (!Object.hasOwn(this.gateNames, name) && !this.isCustomGate(name)) return fail(`unsupported gate "${name}"`);
+                if (measuredAt !== null) return fail(`gate after the measurement on line ${measuredAt}`);
+                
+                let params;
+                try {
+                    params = paramText === undefined || paramText.trim() === ''
+                        ? []
+                        : this.splitArguments(paramText).map(evaluateExpression);
+                } catch (err) {
+                    return fail(err.message);
+                }
+                
+                const step = this.toGate(name, params);
+                if (typeof step === 'string') return fail(step);
+                if (step) steps.push({ ...step, line });
+                return;
+            }
+            
+            const keyword = text.split(/[\s({]/)[0];
+            fail(`unsupported instruction "${keyword || text}"`);
+        });
+        
+        return { version, steps, errors };
+    },
+    
+    // Our { gate, params } for a QASM gate, null for a no-op, or an error message
+    toGate(name, params) {
+        // Own keys only: "constructor" is not a gate
+        if (!Object.hasOwn(this.gateNames, name) && !this.isCustomGate(name)) {
+            return `unsupported gate "${name}"`;
+        }
+        const gate = this.isCustomGate(name) ? name : this.gateNames[name];
+        const counts = { id: 0, u2: 2, u1: 1, p: 1, phase: 1 };
+        const expected = Object.hasOwn(counts, name) ? counts[name] :
+            (gate ? QuantumGates.definitions[gate === 'u2' ? 'u3' : gate].params.length : 0);
+        if (params.length !== expected) {
+            return `${name} takes ${expected} parameter(s), got ${params.length}`;
+        }
+        if (gate === null) return null;
+        // u2(φ, λ) = u3(π/2, φ, λ)
+        if (gate === 'u2') return { gate: 'u3', params: [Math.PI / 2, ...params] };
+        return { gate, params };
+    },
+    
+    // Gates added with QuantumGates.define are read by their own name
+    isCustomGate(name) {
+        return Object.hasOwn(QuantumGates.definitions, name) && Boolean(QuantumGates.definitions[name].custom);
+    },
+    
+    checkOperands(text, qubitName, gateName = 'measure') {
+        const operands = this.splitArguments(text);
+        if (operands.length !== 1) {
+            return `multi-qubit operation "${gateName}" is not supported`;
+        }
+        const match = operands[0].match(/^(\w+)\s*(?:\[\s*(\d+)\s*\])?$/);
+        if (!match) return `cannot read operand "${operands[0]}"`;
+        if (!qubitName) return 'qubit used before it was declared';
+        if (match[1] !== qubitName) return `unknown register "${match[1]}"`;
+        if (match[2] !== undefined && match[2] !== '0') return `qubit index ${match[2]} is out of range`;
+        return null;
+    },
+    
+    // Split on commas that aren't inside parentheses
+    splitArguments(text) {
+        const parts = [''];
+        let depth = 0;
+        for (const ch of text) {
+            if (ch === '(') depth++;
+            if (ch === ')') depth--;
+            if (ch === ',' && depth === 0) parts.push('');
+            else parts[parts.length - 1] += ch;
+        }
+        return parts.map(p => p.trim());
+    },
+    
+    // Comment-free statements with the line each one starts on; a { } block counts as one
+    statements(source) {
+        const code = source
+            .replace(/\/\*[\s\S]*?\*\//g, (comment) => comment.replace(/[^\n]/g, ' '))
+            .replace(/\/\/.*$/gm, '');
+        
+        const statements = [];
+        let text = '';
+        let line = 1;
+        let startLine = 1;
+        let depth = 0;
+        
+        for (const ch of code) {
+            if (text.trim() === '') startLine = line;
+            if (ch === '\n') line++;
+            if (ch === '{') depth++;
+            if (ch === '}') depth--;
+            
+            if ((ch === ';' && depth === 0) || (ch === '}' && depth === 0)) {
+                if (ch === '}') text += ch;
+                if (text.trim()) statements.push({ text: text.trim().replace(/\s+/g, ' '), line: startLine });
+                text = '';
+            } else {
+                text += ch;
+            }
+        }
+        if (text.trim()) statements.push({ text: text.trim().replace(/\s+/g, ' '), line: startLine });
+        return statements;
+    },
+    
+    // QASM text for a list of { gate, params } and { measure: true } steps
+    serialize(steps, { version = 3 } = {}) {
+        const lines = version === 2
+            ? ['OPENQASM 2.0;', 'include "qelib1.inc";', 'qreg q[1];', 'creg c[1];']
+            : ['OPENQASM 3.0;', 'include "stdgates.inc";', 'qubit[1] q;', 'bit[1] c;'];
+        
+        steps.forEach(step => {
+            if (step.measure) {
+                lines.push(version === 2 ? 'measure q[0] -> c[0];' : 'c[0] = measure q[0];');
+                return;
+            }
+            if (step.comment) {
+                lines.push(`// ${step.comment}`);
+                return;
+            }
+            // Custom gates aren't in the standard libraries: write the equivalent U3
+            if (this.isCustomGate(step.gate)) {
+                const angles = QuantumGates.toU3(QuantumGates.matrix(step.gate));
+                lines.push(`u3(${angles.map(a => this.formatAngle(a)).join(', ')}) q[0]; // ${step.gate}`);
+                return;
+            }
+            // QASM 2's qelib1 spells the phase gate u1
+            const name = step.gate === 'p' && version === 2 ? 'u1' : step.gate;
+            const params = step.params.length ? `(${step.params.map(a => this.formatAngle(a)).join(', ')})` : '';
+            lines.push(`${name}${params} q[0];`);
+        });
+        return lines.join('\n') + '\n';
+    },
+    
+    // Exact multiples of π print as e.g. "3*pi/4", everything else as a decimal
+    formatAngle(angle) {
+        const ratio = angle / Math.PI;
+        for (let d = 1; d <= 64; d++) {
+            const n = Math.round(ratio * d);
+            if (Math.abs(ratio * d - n) < 1e-9) {
+                if (n === 0) return '0';
+                const numerator = n === 1 ? 'pi' : n === -1 ? '-pi' : `${n}*pi`;
+                return d === 1 ? numerator : `${numerator}/${d}`;
+            }
+        }
+        return String(angle);
+    }
+};
+
+return {
+    ValidationError,
+    evaluateExpression,
+    evaluateComplex,
+    Qasm,
+    Serialization,
+    Complex,
+    QuantumGates,
+    DensityMatrix,
+    QubitState,
+    TwoQubitGates,
+    TwoQubitState,
+    NoiseChannels,
+    Measurement,
+    Tomography,
+    TimeEvolution,
+    Synthesis,
+    Exercises,
+    createRng
+};
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { NoiseChannels, QuantumGates, QubitState } = require('../quantum-core.js');
+const { assertVector, identityError } = require('./helpers.js');
+
+test('built-in channels are trace preserving at every strength', () => {
+    Object.keys(NoiseChannels.definitions).forEach(name => {
+        [0, 0.1, 0.5, 0.9, 1].forEach(p => {
+            const sum = NoiseChannels.kraus(name, p)
+                .map(k => QuantumGates.multiply(QuantumGates.dagger(k), k))
+                .reduce((a, b) => a.map((row, i) => row.map((v, j) => v.add(b[i][j]))));
+            assert.ok(identityError(sum) < 1e-12, `${name} at ${p}`);
+        });
+    });
+});
+
+test('channels shrink and move the Bloch vector as expected', () => {
+    const plus = new QubitState(1, 0, 0);
+    const one = new QubitState(0, 0, -1);
+    assertVector(one.applyChannel('damping', 1).blochVector(), { x: 0, y: 0, z: 1 });
+    assertVector(plus.applyChannel('dephasing', 1).blochVector(), { x: 0, y: 0, z: 0 });
+    assertVector(plus.applyChannel('depolarizing', 0.5).blochVector(), { x: 0.5, y: 0, z: 0 });
+    assertVector(one.applyChannel('bitflip', 1).blochVector(), { x: 0, y: 0, z: 1 });
+    assertVector(plus.applyChannel('phaseflip', 0.25).blochVector(), { x: 0.5, y: 0, z: 0 });
+    assert.equal(plus.applyChannel('nope', 0.5), null);
+});
@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Exercises, QubitState } = require('../quantum-core.js');
+const { assertClose, assertVector, assertInvalid } = require('./helpers.js');
+
+const problemSet = (problem) => ({ format: 'bloch-sphere-exercises', version: 1, problems: [{ target: '+', gates: ['h'], ...problem }] });
+
+test('problem sets fill in defaults and grade by fidelity', () => {
+    const set = Exercises.parseProblemSet(problemSet({ hints: ['Try H'] }));
+    const [problem] = set.problems;
+    assertVector(problem.start.blochVector(), { x: 0, y: 0, z: 1 });
+    assert.equal(problem.show, 'ghost');
+    assert.equal(problem.maxSteps, null);
+    assertClose(problem.tolerance, 0.01);
+    
+    const solved = Exercises.grade(problem, new QubitState(1, 0, 0), 1);
+    assert.equal(solved.solved, true);
+    assert.equal(solved.points, 90);
+    const missed = Exercises.grade(problem, new QubitState(0, 0, 1));
+    assertClose(missed.fidelity, 0.5);
+    assert.equal(missed.points, 0);
+});
+
+test('parseState reads named states with or without a ket', () => {
+    assertVector(Exercises.parseState('|−i⟩', 'target').blochVector(), { x: 0, y: -1, z: 0 });
+    assertVector(Exercises.parseState(' 1 ', 'target').blochVector(), { x: 0, y: 0, z: -1 });
+    assertVector(Exercises.parseState({ bloch: [0, 0.5, 0] }, 'target').blochVector(), { x: 0, y: 0.5, z: 0 });
+});
+
+test('problem sets reject bad fields with their path', () => {
+    assertInvalid(() => Exercises.parseProblemSet('{'), '', /not valid JSON/);
+    assertInvalid(() => Exercises.parseProblemSet({ format: 'bloch-sphere-exercises', version: 1, problems: [] }), 'problems');
+    assertInvalid(() => Exercises.parseProblemSet(problemSet({ gates: ['h', 'q'] })), 'problems[0].gates[1]', /unknown gate/);
+    assertInvalid(() => Exercises.parseProblemSet(problemSet({ target: 'plus' })), 'problems[0].target');
+    assertInvalid(() => Exercises.parseProblemSet(problemSet({ maxSteps: 0 })), 'problems[0].maxSteps');
+    assertInvalid(() => Exercises.parseProblemSet(problemSet({ tolerance: 2 })), 'problems[0].tolerance');
+    assertInvalid(() => Exercises.parseProblemSet(problemSet({ hints: 'x' })), 'problems[0].hints');
+});
+
+test('names inherited from Object.prototype are neither states nor gates', () => {
+    ['constructor', 'toString', '__proto__'].forEach(name => {
+        assertInvalid(() => Exercises.parseState(name, 'start'), 'start', /expected 0, 1/);
+        assertInvalid(() => Exercises.parseProblemSet(problemSet({ target: name })), 'problems[0].target');
+    });
+    assertInvalid(() => Exercises.parseProblemSet(problemSet({ gates: ['h', 'valueOf'] })), 'problems[0].gates[1]', /unknown gate/);
+});
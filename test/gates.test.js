@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumGates, QubitState } = require('../quantum-core.js');
+const { assertClose, assertVector, identityError } = require('./helpers.js');
+
+const ZERO = new QubitState(0, 0, 1);
+const PLUS = new QubitState(1, 0, 0);
+
+test('every built-in gate is unitary', () => {
+    const angles = [0, 0.3, Math.PI / 2, 2.5, -1.2];
+    Object.entries(QuantumGates.definitions).forEach(([name, def]) => {
+        const params = def.params.map((_, i) => angles[(i + 1) % angles.length]);
+        const matrix = QuantumGates.matrix(name, params);
+        assert.ok(matrix, `${name} builds`);
+        assert.ok(identityError(QuantumGates.multiply(QuantumGates.dagger(matrix), matrix)) < 1e-12, `${name} is unitary`);
+    });
+});
+
+test('gates send the basis states to their textbook images', () => {
+    const cases = [
+        ['x', [], ZERO, { x: 0, y: 0, z: -1 }],
+        ['y', [], ZERO, { x: 0, y: 0, z: -1 }],
+        ['z', [], PLUS, { x: -1, y: 0, z: 0 }],
+        ['h', [], ZERO, { x: 1, y: 0, z: 0 }],
+        ['h', [], PLUS, { x: 0, y: 0, z: 1 }],
+        ['s', [], PLUS, { x: 0, y: 1, z: 0 }],
+        ['sdg', [], PLUS, { x: 0, y: -1, z: 0 }],
+        ['t', [], PLUS, { x: Math.SQRT1_2, y: Math.SQRT1_2, z: 0 }],
+        ['sx', [], ZERO, { x: 0, y: -1, z: 0 }],
+        ['rx', [Math.PI / 2], ZERO, { x: 0, y: -1, z: 0 }],
+        ['ry', [Math.PI / 2], ZERO, { x: 1, y: 0, z: 0 }],
+        ['rz', [Math.PI / 2], PLUS, { x: 0, y: 1, z: 0 }],
+        ['p', [Math.PI], PLUS, { x: -1, y: 0, z: 0 }],
+        ['u3', [Math.PI / 2, 0, Math.PI], ZERO, { x: 1, y: 0, z: 0 }]
+    ];
+    cases.forEach(([gate, params, start, expected]) => {
+        assertVector(start.applyGate(gate, params).blochVector(), expected);
+    });
+});
+
+test('unitaries keep the length of mixed Bloch vectors', () => {
+    const mixed = new QubitState(0.3, -0.2, 0.4);
+    const result = mixed.applyGate('u3', [1.1, 0.4, -2]);
+    assertClose(result.radius(), mixed.radius());
+});
+
+test('matrix() returns null for unknown or under-specified gates', () => {
+    assert.equal(QuantumGates.matrix('nope'), null);
+    assert.equal(QuantumGates.matrix('rx'), null);
+    assert.equal(QuantumGates.matrix('rx', [NaN]), null);
+});
+
+test('rotation() keeps the requested angle of single-angle gates', () => {
+    const { axis, angle } = QuantumGates.rotation('rx', [3 * Math.PI / 2]);
+    assert.deepEqual(axis, [1, 0, 0]);
+    assertClose(angle, 3 * Math.PI / 2);
+    
+    const h = QuantumGates.rotation('h');
+    assertClose(h.angle, Math.PI);
+    assertVector({ x: Math.abs(h.axis[0]), y: h.axis[1], z: Math.abs(h.axis[2]) }, { x: Math.SQRT1_2, y: 0, z: Math.SQRT1_2 });
+});
@@ -0,0 +1,30 @@
+// Shared assertions for the quantum-core tests
+const assert = require('node:assert/strict');
+
+const TOLERANCE = 1e-9;
+
+function assertClose(actual, expected, tolerance = TOLERANCE, message = '') {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}expected ${expected}, got ${actual}`);
+}
+
+// Compare { x, y, z } Bloch vectors component by component
+function assertVector(actual, expected, tolerance = TOLERANCE) {
+    ['x', 'y', 'z'].forEach(axis => assertClose(actual[axis], expected[axis], tolerance, `${axis}: `));
+}
+
+// Largest entry of |m − I| for a 2×2 complex matrix
+function identityError(m) {
+    return Math.max(...[0, 1].flatMap(i => [0, 1].map(j => Math.hypot(m[i][j].real - (i === j ? 1 : 0), m[i][j].imag))));
+}
+
+// Run fn and check it throws a ValidationError pointing at `path`
+function assertInvalid(fn, path, pattern = /./) {
+    assert.throws(fn, (err) => {
+        assert.equal(err.name, 'ValidationError');
+        assert.equal(err.path, path);
+        assert.match(err.message, pattern);
+        return true;
+    });
+}
+
+module.exports = { assertClose, assertVector, identityError, assertInvalid };
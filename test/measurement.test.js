@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng, Measurement, QubitState } = require('../quantum-core.js');
+const { assertClose } = require('./helpers.js');
+
+const draw = (rng, n) => Array.from({ length: n }, () => rng());
+
+test('createRng repeats its sequence for the same seed', () => {
+    assert.deepEqual(draw(createRng(42), 100), draw(createRng(42), 100));
+    assert.notDeepEqual(draw(createRng(42), 10), draw(createRng(43), 10));
+    draw(createRng(7), 1000).forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('seeded sampling is reproducible', () => {
+    assert.deepEqual(Measurement.sample(0.3, 500, createRng(1)), Measurement.sample(0.3, 500, createRng(1)));
+});
+
+test('sampled frequencies approach the Born probabilities', () => {
+    const { plus, minus } = Measurement.sample(0.25, 20000, createRng(3));
+    assert.equal(plus + minus, 20000);
+    assertClose(plus / 20000, 0.25, 0.02);
+});
+
+test('measurement collapses onto the measured axis', () => {
+    const state = new QubitState(1, 0, 0);
+    const { outcome, probability, state: after } = state.measure({ x: 0, y: 0, z: 1 }, () => 0.9);
+    assert.equal(outcome, 'minus');
+    assertClose(probability, 0.5);
+    assert.deepEqual(after.blochVector(), { x: -0, y: -0, z: -1 });
+});
@@ -0,0 +1,117 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuantumGates, NoiseChannels, Qasm, QubitState, Complex } = require('../quantum-core.js');
+const { assertClose, assertVector, identityError, assertInvalid } = require('./helpers.js');
+
+const ZERO = new QubitState(0, 0, 1);
+const PLUS = new QubitState(1, 0, 0);
+
+// Registries are shared by the whole process; take every test's additions back out
+const added = { gates: [], channels: [] };
+const defineGate = (name, ...rest) => {
+    added.gates.push(name);
+    return QuantumGates.define(name, ...rest);
+};
+const defineChannel = (name, ...rest) => {
+    added.channels.push(name);
+    return NoiseChannels.define(name, ...rest);
+};
+after(() => {
+    added.gates.forEach(name => delete QuantumGates.definitions[name]);
+    added.channels.forEach(name => delete NoiseChannels.definitions[name]);
+});
+
+const run = steps => steps.reduce((state, { gate, params }) => state.applyGate(gate, params), ZERO);
+
+test('define adds gates from a matrix or a rotation', () => {
+    defineGate('plugin_v', [['1/sqrt(2)', '-i/sqrt(2)'], ['-i/sqrt(2)', '1/sqrt(2)']], { label: 'V' });
+    assertVector(ZERO.applyGate('plugin_v').blochVector(), { x: 0, y: -1, z: 0 });
+    assert.equal(QuantumGates.describe('plugin_v'), 'V');
+    
+    defineGate('plugin_c3', { axis: [1, 1, 1], angle: 2 * Math.PI / 3 });
+    assertVector(PLUS.applyGate('plugin_c3').blochVector(), { x: 0, y: 1, z: 0 });
+    assertClose(QuantumGates.rotation('plugin_c3').angle, 2 * Math.PI / 3);
+    
+    defineGate('plugin_pairs', [[[0, 0], [1, 0]], [new Complex(0, 1), 0]]);
+    assert.ok(QuantumGates.unitarityError(QuantumGates.matrix('plugin_pairs')) < 1e-12);
+});
+
+test('define rejects bad names and non-unitary matrices', () => {
+    assertInvalid(() => QuantumGates.define('h', [[1, 0], [0, 1]]), 'name', /already defined/);
+    assertInvalid(() => QuantumGates.define('u2', [[1, 0], [0, 1]]), 'name', /already defined/);
+    assertInvalid(() => QuantumGates.define('2x', [[1, 0], [0, 1]]), 'name');
+    assertInvalid(() => QuantumGates.define('__proto__', [[1, 0], [0, 1]]), 'name', /reserved/);
+    assertInvalid(() => QuantumGates.define('half', [[1, 0], [0, 0.5]]), 'matrix', /not unitary/);
+    assertInvalid(() => QuantumGates.define('half', [[1, 1], [0, 1]]), 'matrix', /not unitary/);
+    assertInvalid(() => QuantumGates.define('half', [[1, 0]]), 'matrix');
+    assertInvalid(() => QuantumGates.define('half', [[1, 'sqrt('], [0, 1]]), 'matrix[0][1]');
+    assertInvalid(() => QuantumGates.define('half', { axis: [0, 0, 0], angle: 1 }), 'axis');
+    assertInvalid(() => QuantumGates.define('half', { axis: [1, 0, 0] }), 'angle');
+    assert.ok(!Object.hasOwn(QuantumGates.definitions, 'half'));
+    assert.equal(Object.getPrototypeOf(QuantumGates.definitions), Object.prototype);
+});
+
+test('names inherited from Object.prototype are free to register', () => {
+    defineGate('constructor', [[0, 1], [1, 0]], { label: 'NOT' });
+    assertVector(ZERO.applyGate('constructor').blochVector(), { x: 0, y: 0, z: -1 });
+    assert.equal(NoiseChannels.kraus('toString', 0.1), null);
+    assert.equal(PLUS.applyChannel('valueOf', 0.5), null);
+    defineChannel('toString', [[[0, 1], [1, 0]]]);
+    assertVector(ZERO.applyChannel('toString', 1).blochVector(), { x: 0, y: 0, z: -1 });
+});
+
+test('toU3 reproduces any unitary up to a global phase', () => {
+    const probes = [ZERO, PLUS, new QubitState(0, 1, 0), new QubitState(0.6, 0, 0.8)];
+    const matrices = [
+        ...['x', 'y', 'z', 'h', 's', 't', 'sx'].map(name => QuantumGates.matrix(name)),
+        QuantumGates.multiply(QuantumGates.matrix('u3', [0.7, -2.1, 2.9]), QuantumGates.phase(1.3)),
+        QuantumGates.rotationMatrix([0, 0.6, 0.8], 2.2)
+    ];
+    matrices.forEach(m => {
+        const angles = QuantumGates.toU3(m);
+        angles.slice(1).forEach(angle => assert.ok(angle > -Math.PI - 1e-12 && angle <= Math.PI + 1e-12));
+        const u3 = QuantumGates.matrix('u3', angles);
+        probes.forEach(state => assertVector(state.applyUnitary(u3).blochVector(), state.applyUnitary(m).blochVector()));
+    });
+});
+
+test('custom gates export as the equivalent u3 and import by name', () => {
+    defineGate('plugin_w', [[0, [1, 0]], [[0, 1], 0]]);
+    const steps = [{ gate: 'h', params: [] }, { gate: 'plugin_w', params: [] }];
+    const text = Qasm.serialize(steps);
+    assert.match(text, /u3\(.*\) q\[0\]; \/\/ plugin_w/);
+    
+    const parsed = Qasm.parse(text);
+    assert.deepEqual(parsed.errors, []);
+    assertVector(run(parsed.steps).blochVector(), run(steps).blochVector());
+    assert.deepEqual(Qasm.parse('OPENQASM 3.0;\nqubit q;\nplugin_w q;\n').steps.map(s => s.gate), ['plugin_w']);
+});
+
+test('define mixes a fixed Kraus list in with the strength', () => {
+    defineChannel('plugin_reset', [[[1, 0], [0, 0]], [[0, 1], [0, 0]]], { label: 'Reset' });
+    const one = new QubitState(0, 0, -1);
+    assertVector(one.applyChannel('plugin_reset', 1).blochVector(), { x: 0, y: 0, z: 1 });
+    assertVector(one.applyChannel('plugin_reset', 0.5).blochVector(), { x: 0, y: 0, z: 0 });
+    const sum = NoiseChannels.kraus('plugin_reset', 0.3)
+        .map(k => QuantumGates.multiply(QuantumGates.dagger(k), k))
+        .reduce((a, b) => a.map((row, i) => row.map((v, j) => v.add(b[i][j]))));
+    assert.ok(identityError(sum) < 1e-12);
+});
+
+test('define takes a function of the strength', () => {
+    defineChannel('plugin_yflip', (p) => [
+        [[Math.sqrt(1 - p), 0], [0, Math.sqrt(1 - p)]],
+        [[0, [0, -Math.sqrt(p)]], [[0, Math.sqrt(p)], 0]]
+    ]);
+    assertVector(PLUS.applyChannel('plugin_yflip', 1).blochVector(), { x: -1, y: 0, z: 0 });
+});
+
+test('define rejects channels that are not trace preserving', () => {
+    assertInvalid(() => NoiseChannels.define('bad', [[[1, 0], [0, 1]], [[0, 1], [0, 0]]]), 'kraus', /not trace preserving/);
+    assertInvalid(() => NoiseChannels.define('bad', (p) => [[[1, 0], [0, 1 - p]]]), 'kraus(0.25)', /not trace preserving/);
+    assertInvalid(() => NoiseChannels.define('bad', []), 'kraus');
+    assertInvalid(() => NoiseChannels.define('bad', [[[1, 0], [0]]]), 'kraus[0]');
+    assertInvalid(() => NoiseChannels.define('damping', [[[1, 0], [0, 1]]]), 'name', /already defined/);
+    assertInvalid(() => NoiseChannels.define('__proto__', [[[1, 0], [0, 1]]]), 'name', /reserved/);
+    assert.ok(!Object.hasOwn(NoiseChannels.definitions, 'bad'));
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Qasm, QubitState } = require('../quantum-core.js');
+const { assertClose, assertVector } = require('./helpers.js');
+
+const run = steps => steps.reduce((state, { gate, params }) => state.applyGate(gate, params), new QubitState(0, 0, 1));
+
+test('serialize and parse round-trip a gate list in both versions', () => {
+    const steps = [
+        { gate: 'h', params: [] },
+        { gate: 'rz', params: [Math.PI / 4] },
+        { gate: 'p', params: [-Math.PI / 2] },
+        { gate: 'u3', params: [0.3, 1.2, -0.7] },
+        { gate: 'sdg', params: [] }
+    ];
+    [2, 3].forEach(version => {
+        const { steps: parsed, errors, version: read } = Qasm.parse(Qasm.serialize(steps, { version }));
+        assert.deepEqual(errors, []);
+        assert.equal(read, version);
+        assert.deepEqual(parsed.map(s => s.gate), steps.map(s => s.gate));
+        parsed.forEach((s, i) => s.params.forEach((angle, j) => assertClose(angle, steps[i].params[j], 1e-12)));
+    });
+});
+
+test('serialize writes QASM 2 phase gates as u1 and exact π fractions', () => {
+    const text = Qasm.serialize([{ gate: 'p', params: [3 * Math.PI / 4] }, { measure: true }], { version: 2 });
+    assert.match(text, /^OPENQASM 2\.0;/);
+    assert.match(text, /u1\(3\*pi\/4\) q\[0\];/);
+    assert.match(text, /measure q\[0\] -> c\[0\];/);
+});
+
+test('parse maps aliases and measurement', () => {
+    const { steps, errors } = Qasm.parse('OPENQASM 2.0;\ninclude "qelib1.inc";\nqreg q[1];\ncreg c[1];\nu2(0, pi) q[0];\nid q[0];\nmeasure q[0] -> c[0];\n');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(steps.map(s => s.gate || 'measure'), ['u3', 'measure']);
+    assertVector(run(steps.slice(0, 1)).blochVector(), { x: 1, y: 0, z: 0 });
+});
+
+test('parse reports errors with line numbers', () => {
+    const { errors } = Qasm.parse('OPENQASM 3.0;\nqubit[2] q;\nfoo q[0];\n');
+    assert.deepEqual(errors.map(e => e.line), [2, 3]);
+    assert.match(errors[1].message, /qubit used before|unsupported gate/);
+    
+    const late = Qasm.parse('OPENQASM 3.0;\nqubit q;\nc = measure q;\nx q;\n');
+    assert.match(late.errors[0].message, /after the measurement/);
+    assert.match(Qasm.parse('OPENQASM 3.0;\nqubit q;\nrx q;\n').errors[0].message, /takes 1 parameter/);
+});
+
+test('names inherited from Object.prototype are unsupported gates', () => {
+    ['constructor', 'toString', '__proto__', 'valueOf'].forEach(name => {
+        const { steps, errors } = Qasm.parse(`OPENQASM 2.0;\nqreg q[1];\n${name} q[0];\n`);
+        assert.deepEqual(steps, []);
+        assert.deepEqual(errors, [{ line: 3, message: `unsupported gate "${name}"` }]);
+    });
+    assert.equal(Qasm.toGate('constructor', []), 'unsupported gate "constructor"');
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Serialization, QubitState } = require('../quantum-core.js');
+const { assertVector, assertInvalid } = require('./helpers.js');
+
+const doc = (extra = {}) => ({ format: 'bloch-sphere', version: 1, state: { theta: 1, phi: 2 }, ...extra });
+
+test('documents round-trip through JSON', () => {
+    const start = QubitState.fromAngles(0.4, 0.2);
+    const written = Serialization.createDocument({
+        state: new QubitState(0.1, 0.2, 0.3),
+        sequence: { gates: [{ gate: 'h', params: [] }, { gate: 'rx', params: [0.5] }], position: 1, start },
+        camera: { position: [1, 2, 3], target: [0, 0, 0] },
+        settings: { showTrail: true }
+    });
+    const read = Serialization.parseDocument(JSON.stringify(written));
+    assertVector(read.state.blochVector(), { x: 0.1, y: 0.2, z: 0.3 }, 1e-12);
+    assert.deepEqual(read.sequence.gates, [{ gate: 'h', params: [] }, { gate: 'rx', params: [0.5] }]);
+    assert.equal(read.sequence.position, 1);
+    assertVector(read.sequence.start.blochVector(), start.blochVector(), 1e-12);
+    assert.deepEqual(read.camera, { position: [1, 2, 3], target: [0, 0, 0] });
+    assert.deepEqual(read.settings, { showTrail: true });
+});
+
+test('parseDocument rejects bad input with the offending path', () => {
+    assertInvalid(() => Serialization.parseDocument('{'), '', /not valid JSON/);
+    assertInvalid(() => Serialization.parseDocument('[]'), '', /JSON object/);
+    assertInvalid(() => Serialization.parseDocument(doc({ format: 'other' })), 'format');
+    assertInvalid(() => Serialization.parseDocument(doc({ version: 0 })), 'version');
+    assertInvalid(() => Serialization.parseDocument(doc({ version: 2 })), 'version', /version 2/);
+    assertInvalid(() => Serialization.parseDocument({ format: 'bloch-sphere', version: 1 }), 'state', /missing/);
+    assertInvalid(() => Serialization.parseDocument(doc({ state: { bloch: [1, 1, 0] } })), 'state', /exceeds 1/);
+    assertInvalid(() => Serialization.parseDocument(doc({ sequence: { gates: [{ gate: 'q' }] } })), 'sequence.gates[0]', /unknown gate/);
+    assertInvalid(() => Serialization.parseDocument(doc({ sequence: { gates: [{ gate: 'rx' }] } })), 'sequence.gates[0].params');
+    assertInvalid(() => Serialization.parseDocument(doc({ sequence: { gates: [{ gate: 'toString' }] } })), 'sequence.gates[0]', /unknown gate/);
+    assertInvalid(() => Serialization.parseDocument(doc({ sequence: { gates: [], position: 1 } })), 'sequence.position');
+    assertInvalid(() => Serialization.parseDocument(doc({ camera: { position: [1, 2] } })), 'camera');
+    assertInvalid(() => Serialization.parseDocument(doc({ settings: { showTrail: 'yes' } })), 'settings.showTrail');
+});
+
+test('parseGateList ignores names inherited from Object.prototype', () => {
+    ['toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach(gate => {
+        assertInvalid(() => Serialization.parseGateList([{ gate }]), 'gates[0]', /unknown gate/);
+    });
+});
+
+test('states accept angles, Bloch vectors and density matrices', () => {
+    assertVector(QubitState.fromJSON({ theta: Math.PI / 2, phi: 0 }).blochVector(), { x: 1, y: 0, z: 0 });
+    assertVector(QubitState.fromJSON({ bloch: [0, 0.5, 0] }).blochVector(), { x: 0, y: 0.5, z: 0 });
+    const mixed = new QubitState(0.2, -0.1, 0.4);
+    assertVector(QubitState.fromJSON(mixed.toJSON()).blochVector(), mixed.blochVector(), 1e-12);
+    assertInvalid(() => QubitState.fromJSON('0', 'start'), 'start');
+});
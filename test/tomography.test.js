@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRng, Tomography } = require('../quantum-core.js');
+const { assertClose } = require('./helpers.js');
+
+test('seeded tomography runs are reproducible', () => {
+    const r = { x: 0.6, y: 0, z: 0.8 };
+    assert.deepEqual(Tomography.simulate(r, 200, createRng(9)), Tomography.simulate(r, 200, createRng(9)));
+});
+
+test('linear inversion reads the Bloch vector off the counts', () => {
+    const counts = { x: { plus: 75, minus: 25 }, y: { plus: 50, minus: 50 }, z: { plus: 10, minus: 90 } };
+    const r = Tomography.linearInversion(counts);
+    assertClose(r.x, 0.5);
+    assertClose(r.y, 0);
+    assertClose(r.z, -0.8);
+});
+
+test('maximum likelihood stays inside the Bloch ball', () => {
+    const counts = { x: { plus: 10, minus: 0 }, y: { plus: 10, minus: 0 }, z: { plus: 5, minus: 5 } };
+    const linear = Tomography.linearInversion(counts);
+    assert.ok(Math.hypot(linear.x, linear.y, linear.z) > 1);
+    const mle = Tomography.maximumLikelihood(counts);
+    assertClose(Math.hypot(mle.x, mle.y, mle.z), 1, 1e-9);
+    assertClose(mle.x, mle.y, 1e-9);
+});